@@ -0,0 +1,396 @@
+// --- AGENT CONFIGURATION & CUSTOM AGENTS ---
+// agentConfig holds every agent's persona: its system prompt, the constraints its replies must meet and the
+// trigger that decides when it works. The built-in agents keep their behaviour in engine.js; custom agents
+// are defined entirely by their configuration: each reads selected parts of the project (AGENT_READS) and
+// writes back through one of AGENT_ACTIONS. Stored in localStorage like the LLM settings, and exported and
+// imported as JSON so configurations can be shared.
+const AGENT_CONFIG_KEY = 'sqf-agent-config';
+const AGENT_CONFIG_FORMAT = 'sqf-agent-config';
+const AGENT_CONFIG_VERSION = 1;
+
+// --- AGENT PERSONALITIES: THE PROMPTS ---
+// The built-in agents' default system prompts. {project} and {hashtag} are filled in when a prompt is sent.
+const AGENT_PROMPTS = {
+    inquisitor: "You are a critical game designer. Your job is to analyze a new design fact and generate one probing question to expose missing details. Your question must be a single line, and less than 10 words.",
+    marketing: "You are a hype-focused marketing agent. Write a short, exciting social media post (140 characters max) about the latest game feature. Include the hashtag {hashtag}.",
+    translator: "You are a meticulous design archivist. Convert the user's design statement into a JSON array of design facts, each shaped like {\"quantumType\": \"Character\", \"data\": {\"name\": \"Vesper\", \"role\": \"villain\"}}. Only extract facts the statement actually states. Reply with the JSON array and nothing else.",
+    producer: "You are a pragmatic producer. An unresolved design question has caused a bug. Describe the bug in a short, technical-sounding but slightly humorous bug report. Start with 'Bug #[ID]: ' but replace [ID] with a random 3-digit number."
+};
+
+// What each built-in agent reacts to is part of its behaviour; its phase, cadence and chance can be edited.
+// The Translator only runs on commands, so it has no trigger and its JSON replies take no constraints.
+const BUILT_IN_AGENTS = {
+    translator: {
+        name: 'Translator', runsOn: 'Parses /declare, /answer and /amend with the model when "LLM Translator" is ticked.',
+        constraints: null, trigger: null
+    },
+    inquisitor: {
+        name: 'Inquisitor', runsOn: 'Asks a question about each fact declared or amended this week.',
+        constraints: { minLength: 11, maxLength: 0, singleLine: false }, trigger: { event: 'fact', phase: 'concept', everyWeeks: 1, chance: 1 }
+    },
+    producer: {
+        name: 'Producer', runsOn: 'May blame an open question for a new bug; the chance is per open question.',
+        constraints: { minLength: 0, maxLength: 0, singleLine: false }, trigger: { event: 'question', phase: 'concept', everyWeeks: 1, chance: 0.15 }
+    },
+    marketing: {
+        name: 'Marketing', runsOn: 'Posts about a feature declared this week, once the project is in Production.',
+        constraints: { minLength: 0, maxLength: 0, singleLine: false }, trigger: { event: 'fact', phase: 'concept', everyWeeks: 1, chance: 1 }
+    }
+};
+
+// When a custom agent's trigger fires; it still has to be in the right phase, week and chance roll.
+const TRIGGER_EVENTS = {
+    week: { label: 'Every week', test: () => true },
+    fact: { label: 'When facts were declared or amended this week', test: () => activeQuanta().some(q => q.updatedAt === `Week ${simulationState.gameState.currentWeek}`) },
+    question: { label: 'While questions are open', test: () => simulationState.unansweredQuestions.some(uq => uq.status === 'Open') },
+    bug: { label: 'While bugs are unresolved', test: () => simulationState.bugReports.some(isUnresolved) },
+    release: { label: 'After release', test: () => simulationState.gameState.gameReleased }
+};
+
+// Most items a list read passes to the model; the newest ones are kept.
+const MAX_READ_ITEMS = 12;
+
+// The parts of simulationState a custom agent can be shown, in the order they appear in its prompt.
+const AGENT_READS = {
+    metrics: {
+        label: 'Metrics',
+        read: () => {
+            const { designCompleteness, buildProgress, marketHype, budget, bugs } = simulationState.gameState;
+            return `Design ${designCompleteness.toFixed(0)}% · Build ${buildProgress.toFixed(0)}% · Hype ${marketHype.toFixed(0)}% · Budget $${budget.toLocaleString()} (${runwayWeeks()} wks runway) · ${bugs} bugs`;
+        }
+    },
+    team: {
+        label: 'Team',
+        read: () => `${teamSummary()} · morale ${averageMorale().toFixed(0)}%${simulationState.team.crunch ? ' · crunching' : ''}`
+    },
+    market: { label: 'Market', read: () => marketSummary() },
+    questions: {
+        label: 'Open questions',
+        read: () => readList(simulationState.unansweredQuestions.filter(uq => uq.status === 'Open').map(uq => uq.text))
+    },
+    bugs: {
+        label: 'Unresolved bugs',
+        read: () => readList(simulationState.bugReports.filter(isUnresolved).map(bug => `[${bug.severity}] ${bug.text}`))
+    },
+    facts: {
+        label: 'Design facts (newest last)',
+        read: () => readList(activeQuanta().map(q => `[${q.quantumType}] ${q.data.name || q.data.description}`))
+    }
+};
+
+// Largest hype change one adjust-hype reply can make, in percentage points.
+const MAX_AGENT_HYPE_CHANGE = 5;
+
+// The only ways a custom agent can change the project. Each takes the agent and its constrained reply and
+// returns the agent's activity line.
+const AGENT_ACTIONS = {
+    'add-question': {
+        label: 'Add a question',
+        apply(agent, reply) {
+            const question = { id: generateId('uq'), text: reply, status: 'Open', raisedBy: agent.id };
+            const newest = activeQuanta().slice(-1)[0];
+            if (newest) question.sourceQuantumId = newest.quantumId;
+            simulationState.unansweredQuestions.push(question);
+            return `Asked ${question.id}: ${reply}`;
+        }
+    },
+    'add-bug': {
+        label: 'File a bug report',
+        apply(agent, reply) {
+            const bug = createBugReport(reply, null);
+            bug.reportedBy = agent.id;
+            simulationState.bugReports.push(bug);
+            recountBugs();
+            return `Filed ${bug.id} (${bug.severity}): ${reply}`;
+        }
+    },
+    'adjust-hype': {
+        label: 'Adjust market hype',
+        // The reply has to start with the change, e.g. "+3 Streamers love the grappling hook."
+        apply(agent, reply) {
+            const match = reply.match(/^\s*([+-]?\d+(?:\.\d+)?)/);
+            if (!match) return `No hype change (the reply did not start with a number): ${reply}`;
+            const gameState = simulationState.gameState;
+            const change = Math.max(-MAX_AGENT_HYPE_CHANGE, Math.min(MAX_AGENT_HYPE_CHANGE, Number(match[1])));
+            gameState.marketHype = Math.max(0, Math.min(100, gameState.marketHype + change));
+            return `${reply} (hype ${change >= 0 ? '+' : ''}${change.toFixed(1)}%)`;
+        }
+    },
+    'propose-quantum': {
+        label: 'Propose a design fact',
+        // Proposals wait in the command queue like anything the player types, so /queue drop turns one down.
+        apply(agent, reply) {
+            simulationState.gameState.commandQueue.push(`/declare ${reply}`);
+            return `Proposed: ${reply} (queued as a /declare; /queue drop removes it)`;
+        }
+    }
+};
+
+// Starting points for new custom agents in the configuration dialog.
+const AGENT_PRESETS = {
+    'qa-lead': {
+        name: 'QA Lead',
+        systemPrompt: "You are a meticulous QA lead on the game {project}. From the design facts and open bugs, describe one new bug that playtesting would find. Start with 'Bug #[ID]: ' and replace [ID] with a random 3-digit number.",
+        constraints: { minLength: 12, maxLength: 200, singleLine: true },
+        trigger: { event: 'fact', phase: 'alpha', everyWeeks: 2, chance: 0.5 },
+        reads: ['bugs', 'facts'],
+        action: 'add-bug'
+    },
+    'narrative-designer': {
+        name: 'Narrative Designer',
+        systemPrompt: "You are the narrative designer on the game {project}. Suggest one new story element that fits the design facts, as a single plain sentence such as 'There is a district called The Glass Market.'",
+        constraints: { minLength: 12, maxLength: 160, singleLine: true },
+        trigger: { event: 'week', phase: 'pre-production', everyWeeks: 4, chance: 1 },
+        reads: ['questions', 'facts'],
+        action: 'propose-quantum'
+    },
+    'community-manager': {
+        name: 'Community Manager',
+        systemPrompt: "You are the community manager for the game {project} ({hashtag}). Judge how the community feels this week. Start your reply with a number from -5 to +5 for the change in hype, then one short sentence explaining it.",
+        constraints: { minLength: 2, maxLength: 140, singleLine: true },
+        trigger: { event: 'week', phase: 'production', everyWeeks: 1, chance: 1 },
+        reads: ['metrics', 'market'],
+        action: 'adjust-hype'
+    },
+    blank: {
+        name: 'New Agent',
+        systemPrompt: "You are a member of the team making the game {project}. Ask one short question the design still needs to answer.",
+        constraints: { minLength: 11, maxLength: 0, singleLine: true },
+        trigger: { event: 'fact', phase: 'concept', everyWeeks: 1, chance: 1 },
+        reads: ['facts'],
+        action: 'add-question'
+    }
+};
+
+function readList(items) {
+    return items.length > 0 ? items.slice(-MAX_READ_ITEMS).map(item => `- ${item}`).join('\n') : 'None.';
+}
+
+function builtInAgent(id) {
+    const { name, constraints, trigger } = BUILT_IN_AGENTS[id];
+    return { id, name, builtIn: true, systemPrompt: AGENT_PROMPTS[id], constraints: constraints && { ...constraints }, trigger: trigger && { ...trigger } };
+}
+
+function defaultAgentConfig() {
+    return { format: AGENT_CONFIG_FORMAT, version: AGENT_CONFIG_VERSION, agents: AGENT_NAMES.map(builtInAgent) };
+}
+
+let agentConfig = loadAgentConfig();
+
+function loadAgentConfig() {
+    if (typeof localStorage === 'undefined') return defaultAgentConfig();
+    try {
+        const stored = JSON.parse(localStorage.getItem(AGENT_CONFIG_KEY) || 'null');
+        if (stored) return normalizeAgentConfig(stored);
+    } catch (error) {
+        console.error("Ignoring unreadable agent configuration.", error);
+    }
+    return defaultAgentConfig();
+}
+
+function saveAgentConfig(config) {
+    agentConfig = config;
+    if (typeof localStorage === 'undefined') return;
+    try {
+        localStorage.setItem(AGENT_CONFIG_KEY, JSON.stringify(config));
+    } catch (error) {
+        console.error("Could not persist the agent configuration.", error);
+    }
+}
+
+function isWholeNumber(value, min) {
+    return Number.isInteger(value) && value >= min;
+}
+
+function constraintErrors(constraints, where) {
+    if (!constraints || typeof constraints !== 'object') return [`${where}.constraints must be an object`];
+    const errors = [];
+    if (!isWholeNumber(constraints.minLength, 0) || !isWholeNumber(constraints.maxLength, 0)) errors.push(`${where}.constraints needs whole-number minLength and maxLength (0 for no limit)`);
+    if (typeof constraints.singleLine !== 'boolean') errors.push(`${where}.constraints.singleLine must be true or false`);
+    return errors;
+}
+
+function triggerErrors(trigger, where) {
+    if (!trigger || typeof trigger !== 'object') return [`${where}.trigger must be an object`];
+    const errors = [];
+    if (!TRIGGER_EVENTS[trigger.event]) errors.push(`${where}.trigger.event must be one of ${Object.keys(TRIGGER_EVENTS).join(', ')}`);
+    if (!PHASES.some(phase => phase.id === trigger.phase)) errors.push(`${where}.trigger.phase must be one of ${PHASES.map(phase => phase.id).join(', ')}`);
+    if (!isWholeNumber(trigger.everyWeeks, 1)) errors.push(`${where}.trigger.everyWeeks must be a whole number of at least 1`);
+    if (typeof trigger.chance !== 'number' || trigger.chance < 0 || trigger.chance > 1) errors.push(`${where}.trigger.chance must be between 0 and 1`);
+    return errors;
+}
+
+function agentErrors(agent, where) {
+    if (!agent || typeof agent !== 'object') return [`${where} must be an object`];
+    if (typeof agent.id !== 'string' || !/^[a-z][a-z0-9-]{0,31}$/.test(agent.id)) return [`${where}.id must be lowercase letters, digits and dashes`];
+    const errors = [];
+    if (typeof agent.systemPrompt !== 'string' || !agent.systemPrompt.trim()) errors.push(`${where}.systemPrompt must not be empty`);
+    const builtIn = BUILT_IN_AGENTS[agent.id];
+    if (builtIn) {
+        if (builtIn.constraints) errors.push(...constraintErrors(agent.constraints, where));
+        if (builtIn.trigger) errors.push(...triggerErrors({ ...agent.trigger, event: builtIn.trigger.event }, where));
+        return errors;
+    }
+    if (EVENT_FILTERS[agent.id]) errors.push(`${where}.id "${agent.id}" is taken by a timeline filter`);
+    if (typeof agent.name !== 'string' || !agent.name.trim()) errors.push(`${where}.name must not be empty`);
+    errors.push(...constraintErrors(agent.constraints, where), ...triggerErrors(agent.trigger, where));
+    if (!Array.isArray(agent.reads) || !agent.reads.every(read => AGENT_READS[read])) errors.push(`${where}.reads may only list ${Object.keys(AGENT_READS).join(', ')}`);
+    if (!AGENT_ACTIONS[agent.action]) errors.push(`${where}.action must be one of ${Object.keys(AGENT_ACTIONS).join(', ')}`);
+    return errors;
+}
+
+/**
+ * Checks an agent configuration, e.g. one being imported or edited in the dialog.
+ * @param {*} config - Anything claiming to be `{ format, version, agents }`.
+ * @returns {string[]} A list of problems; empty when the configuration can be used.
+ */
+function agentConfigErrors(config) {
+    if (!config || config.format !== AGENT_CONFIG_FORMAT || !Array.isArray(config.agents)) return ['not an agent configuration file'];
+    if (config.version > AGENT_CONFIG_VERSION) return [`it was made by a newer version of the simulator (version ${config.version})`];
+    const errors = config.agents.flatMap((agent, i) => agentErrors(agent, `agents[${i}]`));
+    const ids = config.agents.map(agent => agent && agent.id);
+    ids.filter((id, i) => id && ids.indexOf(id) !== i).forEach(id => errors.push(`there is more than one agent "${id}"`));
+    return errors;
+}
+
+/**
+ * Validates a configuration and fills in whatever it leaves out: built-in agents it does not mention keep
+ * their defaults, and a built-in agent's name and trigger event cannot be changed. Built-in agents come first.
+ * @param {*} raw - A parsed configuration file.
+ * @returns {Object} A complete configuration.
+ * @throws {Error} When the configuration is unusable.
+ */
+function normalizeAgentConfig(raw) {
+    const errors = agentConfigErrors(raw);
+    if (errors.length > 0) throw new Error(`Invalid agent configuration: ${errors.join('; ')}`);
+    const given = Object.fromEntries(raw.agents.map(agent => [agent.id, agent]));
+    const builtIns = AGENT_NAMES.map(id => {
+        const agent = builtInAgent(id);
+        if (!given[id]) return agent;
+        agent.systemPrompt = given[id].systemPrompt;
+        if (agent.constraints) agent.constraints = { ...given[id].constraints };
+        if (agent.trigger) agent.trigger = { ...given[id].trigger, event: agent.trigger.event };
+        return agent;
+    });
+    const custom = raw.agents.filter(agent => !BUILT_IN_AGENTS[agent.id]).map(agent => ({
+        id: agent.id,
+        name: agent.name.trim(),
+        builtIn: false,
+        enabled: agent.enabled !== false,
+        systemPrompt: agent.systemPrompt,
+        constraints: { ...agent.constraints },
+        trigger: { ...agent.trigger },
+        reads: Object.keys(AGENT_READS).filter(read => agent.reads.includes(read)),
+        action: agent.action
+    }));
+    return { format: AGENT_CONFIG_FORMAT, version: AGENT_CONFIG_VERSION, agents: [...builtIns, ...custom] };
+}
+
+// Validates, stores and starts using a configuration; throws like normalizeAgentConfig.
+function applyAgentConfig(raw) {
+    const config = normalizeAgentConfig(raw);
+    saveAgentConfig(config);
+    return config;
+}
+
+// A new custom agent from one of AGENT_PRESETS, with an ID no other agent in the configuration uses.
+function createCustomAgent(config, presetId = 'blank') {
+    const key = AGENT_PRESETS[presetId] ? presetId : 'blank';
+    const preset = JSON.parse(JSON.stringify(AGENT_PRESETS[key]));
+    const base = key === 'blank' ? 'custom-agent' : key;
+    let id = base;
+    for (let n = 2; config.agents.some(agent => agent.id === id); n++) id = `${base}-${n}`;
+    return { id, builtIn: false, enabled: true, ...preset };
+}
+
+function agentDefinition(id) {
+    return agentConfig.agents.find(agent => agent.id === id);
+}
+
+// Every agent that reports on the Agent Status panel: the built-in ones, then the enabled custom ones.
+function agentNames() {
+    return agentConfig.agents.filter(agent => agent.builtIn || agent.enabled).map(agent => agent.id);
+}
+
+function agentLabel(id) {
+    const agent = agentDefinition(id);
+    return agent ? agent.name : titleCase(id);
+}
+
+function customAgentAction(id) {
+    const agent = agentDefinition(id);
+    return agent && !agent.builtIn ? agent.action : null;
+}
+
+/**
+ * The system prompt sent for an agent: its configured prompt with the project filled in, plus a
+ * sentence for each output constraint the model can follow (minLength is only enforced on the reply).
+ */
+function agentPrompt(id) {
+    const { systemPrompt, constraints } = agentDefinition(id);
+    const instructions = [];
+    if (constraints && constraints.singleLine) instructions.push("Reply on a single line.");
+    if (constraints && constraints.maxLength > 0) instructions.push(`Keep the reply under ${constraints.maxLength} characters.`);
+    const prompt = systemPrompt
+        .replaceAll('{project}', simulationState.gameState.projectName)
+        .replaceAll('{hashtag}', projectHashtag());
+    return [prompt, ...instructions].join(' ');
+}
+
+/**
+ * Holds a reply to the agent's output constraints: keeps only its first line if it must be a single line,
+ * shortens it at a word boundary past maxLength, and drops it when it is shorter than minLength.
+ * @returns {string|null} The reply to use, or null when there is none.
+ */
+function constrainReply(id, text) {
+    const { constraints } = agentDefinition(id);
+    let reply = text.trim();
+    if (!constraints) return reply;
+    if (constraints.singleLine) reply = (reply.split('\n').find(line => line.trim()) || '').trim();
+    if (constraints.maxLength > 0 && reply.length > constraints.maxLength) {
+        const cut = reply.slice(0, constraints.maxLength - 1);
+        reply = `${cut.includes(' ') ? cut.slice(0, cut.lastIndexOf(' ')) : cut}…`;
+    }
+    return reply.length >= Math.max(1, constraints.minLength) ? reply : null;
+}
+
+// Whether an agent's phase and cadence allow it to work this week. Never rolls the random generator.
+function agentScheduled(agent) {
+    const { currentWeek, phase } = simulationState.gameState;
+    const phaseIndex = id => PHASES.findIndex(p => p.id === id);
+    return phaseIndex(phase) >= phaseIndex(agent.trigger.phase) && currentWeek % agent.trigger.everyWeeks === 0;
+}
+
+// A certain chance is not rolled, so the default configuration replays the same random sequence as before.
+function rollChance(chance) {
+    return chance >= 1 || random() < chance;
+}
+
+function agentTriggered(id) {
+    const agent = agentDefinition(id);
+    return agentScheduled(agent) && rollChance(agent.trigger.chance);
+}
+
+function customAgentPrompt(agent) {
+    const { projectName, currentWeek } = simulationState.gameState;
+    const sections = agent.reads.map(read => `${AGENT_READS[read].label}:\n${AGENT_READS[read].read()}`);
+    return [`Project: ${projectName}, week ${currentWeek}, ${currentPhase().label}.`, ...sections].join('\n\n');
+}
+
+// Runs every enabled custom agent whose trigger fires, one after another so their effects and log entries keep a fixed order.
+async function customAgentsTurn() {
+    const activity = simulationState.gameState.lastAgentActivity;
+    for (const agent of agentConfig.agents.filter(a => !a.builtIn && a.enabled)) {
+        if (!TRIGGER_EVENTS[agent.trigger.event].test() || !agentScheduled(agent) || !rollChance(agent.trigger.chance)) {
+            if (!activity[agent.id]) activity[agent.id] = 'Idle.';
+            continue;
+        }
+        const reply = await queryAgent(agentPrompt(agent.id), customAgentPrompt(agent), agent.id);
+        if (reply.startsWith("Fallback:")) {
+            activity[agent.id] = "Couldn't reach its model this week.";
+            continue;
+        }
+        const text = constrainReply(agent.id, reply);
+        activity[agent.id] = text ? AGENT_ACTIONS[agent.action].apply(agent, text) : "Its reply didn't meet the output constraints.";
+    }
+}
@@ -0,0 +1,155 @@
+// --- BUG LIFECYCLE ---
+// `weight` is the quality penalty an unresolved bug carries at release, `fixWeeks` how long a programmer needs
+// to fix it, and `rushCost` what an outside contractor charges to fix it immediately.
+const BUG_SEVERITIES = {
+    Critical: { weight: 8, fixWeeks: 3, rushCost: 40000, chance: 0.1, color: '#e74c3c' },
+    Major: { weight: 4, fixWeeks: 2, rushCost: 20000, chance: 0.3, color: '#e67e22' },
+    Minor: { weight: 2, fixWeeks: 1, rushCost: 8000, chance: 0.4, color: '#f39c12' },
+    Trivial: { weight: 1, fixWeeks: 1, rushCost: 3000, chance: 0.2, color: '#bdc3c7' }
+};
+const BUG_STATUSES = ['Open', 'In Progress', 'Fixed', "Won't Fix"];
+// Known issues still ship, but documented workarounds make them hurt half as much.
+const WONT_FIX_WEIGHT = 0.5;
+
+function rollSeverity() {
+    let roll = random();
+    for (const [severity, { chance }] of Object.entries(BUG_SEVERITIES)) {
+        if (roll < chance) return severity;
+        roll -= chance;
+    }
+    return 'Minor';
+}
+
+function createBugReport(text, sourceQuestionId) {
+    return {
+        id: generateId('bug'),
+        text,
+        week: simulationState.gameState.currentWeek,
+        sourceQuestionId,
+        severity: rollSeverity(),
+        status: 'Open',
+        owner: null
+    };
+}
+
+function isUnresolved(bug) {
+    return bug.status === 'Open' || bug.status === 'In Progress';
+}
+
+// gameState.bugs is kept as the number of unresolved bugs so the metrics panel and older code keep working.
+function recountBugs() {
+    simulationState.gameState.bugs = simulationState.bugReports.filter(isUnresolved).length;
+}
+
+function findBug(bugId) {
+    return simulationState.bugReports.find(bug => bug.id === bugId);
+}
+
+function resolveBug(bug, status, resolvedBy) {
+    bug.status = status;
+    bug.resolvedWeek = simulationState.gameState.currentWeek;
+    bug.resolvedBy = resolvedBy;
+    delete bug.fixWeeksRemaining;
+    recountBugs();
+}
+
+function isBusyFixing(member) {
+    return simulationState.bugReports.some(bug => bug.status === 'In Progress' && bug.owner === member.id);
+}
+
+// The most severe open bug nobody is working on, oldest first.
+function nextBugForQa() {
+    const severities = Object.keys(BUG_SEVERITIES);
+    return simulationState.bugReports
+        .filter(bug => bug.status === 'Open')
+        .sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity) || a.week - b.week)[0] || null;
+}
+
+/**
+ * Release-time quality: 100 minus the severity weight of every bug that ships unresolved
+ * (Won't Fix bugs count at half weight).
+ * @returns {number} Quality score between 0 and 100.
+ */
+function bugQualityScore() {
+    const penalty = simulationState.bugReports.reduce((total, bug) => {
+        const weight = BUG_SEVERITIES[bug.severity].weight;
+        if (isUnresolved(bug)) return total + weight;
+        if (bug.status === "Won't Fix") return total + weight * WONT_FIX_WEIGHT;
+        return total;
+    }, 0);
+    return Math.max(0, 100 - penalty);
+}
+
+// Advances programmer fixes by a week. Bugs whose owner has left the team go back to Open.
+function bugFixTurn() {
+    let fixed = 0;
+    simulationState.bugReports.filter(bug => bug.status === 'In Progress').forEach(bug => {
+        const owner = simulationState.team.members.find(member => member.id === bug.owner);
+        if (!owner) {
+            bug.status = 'Open';
+            bug.owner = null;
+            delete bug.fixWeeksRemaining;
+            return;
+        }
+        bug.fixWeeksRemaining--;
+        if (bug.fixWeeksRemaining <= 0) {
+            resolveBug(bug, 'Fixed', owner.name);
+            fixed++;
+        }
+    });
+    recountBugs();
+    return fixed;
+}
+
+// Answering the design question behind a bug removes its root cause.
+function resolveBugsForQuestion(questionId) {
+    const bugs = simulationState.bugReports.filter(bug => bug.sourceQuestionId === questionId && isUnresolved(bug));
+    bugs.forEach(bug => resolveBug(bug, 'Fixed', 'Design answer'));
+    return bugs.length;
+}
+
+// "/fix <bugId>" assigns a free programmer for a few weeks; "/fix <bugId> rush" pays a contractor to fix it now.
+function fixBug(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const [, bugId, mode] = input.trim().split(/\s+/);
+    const bug = findBug(bugId);
+    if (!bug || bug.status !== 'Open') {
+        activity.producer = bug ? `${bugId} is already ${bug.status}.` : `No bug report with ID ${bugId}.`;
+        return false;
+    }
+    const severity = BUG_SEVERITIES[bug.severity];
+    if (mode === 'rush') {
+        recordExpense('contractors', severity.rushCost);
+        resolveBug(bug, 'Fixed', 'Contractor');
+        activity.producer = `Contractor fixed ${bug.id} for $${severity.rushCost.toLocaleString()}.`;
+        return false;
+    }
+    const programmer = simulationState.team.members.find(member => member.role === 'programmer' && !isBusyFixing(member));
+    if (!programmer) {
+        activity.producer = `No free programmer for ${bug.id}. Hire one or use /fix ${bug.id} rush.`;
+        return false;
+    }
+    assignBugFix(bug, programmer);
+    activity.producer = `${programmer.name} is fixing ${bug.id} (${bug.severity}, ${severity.fixWeeks} week(s)).`;
+    return false;
+}
+
+function assignBugFix(bug, programmer) {
+    bug.status = 'In Progress';
+    bug.owner = programmer.id;
+    bug.fixWeeksRemaining = BUG_SEVERITIES[bug.severity].fixWeeks;
+}
+
+function wontFixBug(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const bugId = input.trim().split(/\s+/)[1];
+    const bug = findBug(bugId);
+    if (!bug || !isUnresolved(bug)) {
+        activity.producer = bug ? `${bugId} is already ${bug.status}.` : `No bug report with ID ${bugId}.`;
+        return false;
+    }
+    bug.owner = null;
+    resolveBug(bug, "Won't Fix", 'Producer');
+    activity.producer = `${bug.id} marked Won't Fix. It ships as a known issue.`;
+    return false;
+}
@@ -0,0 +1,100 @@
+// --- EXTRACTION CHECKS ---
+// Example declarations and the quanta the rule-based Translator must pull out of them:
+//
+//     node checks/extraction.js
+//
+// Prints each failing example and exits with status 1 if any of them fails.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const filename = path.join(__dirname, '..', 'quanta.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+
+const EXAMPLES = [
+    {
+        input: '/declare It is a metroidvania set in a drowned city.',
+        quanta: [{ quantumType: 'Genre', data: { name: 'Metroidvania' } }, { quantumType: 'Setting', data: { name: 'Drowned City' } }]
+    },
+    {
+        input: '/declare A roguelike with crafting and stealth mechanics.',
+        quanta: [
+            { quantumType: 'Genre', data: { name: 'Roguelike' } },
+            { quantumType: 'MechanicPillar', data: { name: 'Crafting' } },
+            { quantumType: 'MechanicPillar', data: { name: 'Stealth' } }
+        ]
+    },
+    {
+        input: '/declare The core mechanics are double jump and wall run.',
+        quanta: [{ quantumType: 'MechanicPillar', data: { name: 'Double Jump' } }, { quantumType: 'MechanicPillar', data: { name: 'Wall Run' } }]
+    },
+    {
+        input: '/declare The mechanics are double jump, wall run and grappling hook.',
+        quanta: [
+            { quantumType: 'MechanicPillar', data: { name: 'Double Jump' } },
+            { quantumType: 'MechanicPillar', data: { name: 'Wall Run' } },
+            { quantumType: 'MechanicPillar', data: { name: 'Grappling Hook' } }
+        ]
+    },
+    {
+        input: '/declare The core mechanic is stealth, which lets you avoid fights.',
+        quanta: [{ quantumType: 'MechanicPillar', data: { name: 'Stealth' } }]
+    },
+    {
+        input: '/declare Players can double jump and wall run.',
+        quanta: [{ quantumType: 'Ability', data: { name: 'Double Jump' } }, { quantumType: 'Ability', data: { name: 'Wall Run' } }]
+    },
+    {
+        input: '/declare The hero is the Chosen One.',
+        quanta: [{ quantumType: 'Character', data: { name: 'Chosen One', role: 'hero' } }]
+    },
+    {
+        input: '/declare The mentor is an old monk.',
+        quanta: [{ quantumType: 'Character', data: { name: 'Mentor', role: 'mentor', description: 'old monk' } }]
+    },
+    {
+        input: '/declare The hero carries a sword called Dawnbreaker.',
+        quanta: [{ quantumType: 'Item', data: { name: 'Dawnbreaker', kind: 'sword' } }]
+    },
+    {
+        input: '/declare She wields an ancient cursed blade named Nightfall.',
+        quanta: [{ quantumType: 'Item', data: { name: 'Nightfall', kind: 'blade', description: 'ancient cursed' } }]
+    },
+    {
+        input: '/declare Players explore a ruined city called Old Harbor.',
+        quanta: [{ quantumType: 'Location', data: { name: 'Old Harbor', kind: 'city', description: 'ruined' } }]
+    },
+    {
+        input: '/declare The hero visits a floating island called Aeris.',
+        quanta: [{ quantumType: 'Location', data: { name: 'Aeris', kind: 'island', description: 'floating' } }]
+    },
+    {
+        input: '/declare The villain is a rogue AI named Vesper.',
+        quanta: [{ quantumType: 'Character', data: { name: 'Vesper', role: 'villain', description: 'rogue AI' } }]
+    },
+    {
+        input: '/declare A rebel faction called The Free Sparks opposes them.',
+        quanta: [{ quantumType: 'Faction', data: { name: 'Free Sparks', description: 'rebel' } }]
+    },
+    {
+        input: '/declare The Ashen Order is a secretive faction.',
+        quanta: [{ quantumType: 'Faction', data: { name: 'Ashen Order', description: 'secretive' } }]
+    },
+    {
+        input: '/declare We fight the mechanical beast called Goliath.',
+        quanta: [{ quantumType: 'Character', data: { name: 'Goliath', description: 'mechanical beast' } }]
+    }
+];
+
+let failures = 0;
+EXAMPLES.forEach(({ input, quanta }) => {
+    try {
+        assert.deepStrictEqual(extractQuanta(input), quanta);
+    } catch (error) {
+        failures++;
+        console.error(`FAIL ${input}\n  expected ${JSON.stringify(quanta)}\n  got      ${JSON.stringify(extractQuanta(input))}`);
+    }
+});
+console.log(`${EXAMPLES.length - failures} of ${EXAMPLES.length} extraction examples passed.`);
+if (failures > 0) process.exit(1);
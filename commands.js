@@ -0,0 +1,198 @@
+// --- COMMAND REGISTRY ---
+// Commands that wait in the weekly queue. Each one reports through an agent's activity line; validate()
+// returns an error message (or null) so bad input is caught when it is typed and again when it runs,
+// and run() returns true when the command changed the Quantum Core, which is what the Inquisitor reviews.
+// idArgument names the kind of ID the command takes, for tab completion.
+const WEEKLY_COMMANDS = {
+    '/declare': {
+        usage: '/declare <statement>', summary: 'Add design facts to the Quantum Core.', agent: 'translator',
+        validate: input => stripCommand(input) ? null : 'Usage: /declare <statement>',
+        run: translatorTurn
+    },
+    '/answer': {
+        usage: '/answer <question ID> <answer>', summary: "Answer one of the Inquisitor's questions.", agent: 'translator', idArgument: 'question',
+        validate: validateAnswer,
+        run: resolveAnswer
+    },
+    '/amend': {
+        usage: '/amend <quantum ID> <revised statement or field=value; ...>', summary: 'Replace a fact with a new version.', agent: 'translator', idArgument: 'quantum',
+        validate: input => validateQuantumArgument(input, 'amend'),
+        run: amendQuantum
+    },
+    '/retract': {
+        usage: '/retract <quantum ID>', summary: 'Withdraw a fact from the design.', agent: 'translator', idArgument: 'quantum',
+        validate: input => validateQuantumArgument(input, 'retract'),
+        run: input => { retractQuantum(input); return false; }
+    },
+    '/resolve': {
+        usage: '/resolve <conflict ID> <quantum ID>', summary: 'Settle a conflict by choosing the fact that stands.', agent: 'translator', idArgument: 'conflict',
+        validate: validateResolve,
+        run: resolveConflict
+    },
+    '/hire': {
+        usage: `/hire <${Object.keys(STAFF_ROLES).join('|')}> [count]`, summary: 'Hire staff.', agent: 'producer',
+        validate: input => parseRole(commandArguments(input)[0]) ? null : `Usage: /hire <${Object.keys(STAFF_ROLES).join('|')}> [count]`,
+        run: hireStaff
+    },
+    '/fire': {
+        usage: '/fire <role or staff ID>', summary: 'Let someone go.', agent: 'producer',
+        validate: input => commandArguments(input)[0] ? null : 'Usage: /fire <role or staff ID>',
+        run: fireStaff
+    },
+    '/crunch': {
+        usage: '/crunch on|off', summary: 'Work overtime: faster progress, falling morale.', agent: 'producer',
+        validate: input => ['on', 'off'].includes((commandArguments(input)[0] || '').toLowerCase()) ? null : 'Usage: /crunch on|off',
+        run: setCrunch
+    },
+    '/fix': {
+        usage: '/fix <bug ID> [rush]', summary: 'Assign a programmer to a bug, or pay a contractor to rush it.', agent: 'producer', idArgument: 'bug',
+        validate: input => validateBugArgument(input, bug => bug.status === 'Open'),
+        run: fixBug
+    },
+    '/wontfix': {
+        usage: '/wontfix <bug ID>', summary: 'Ship a bug as a known issue.', agent: 'producer', idArgument: 'bug',
+        validate: input => validateBugArgument(input, isUnresolved),
+        run: wontFixBug
+    },
+    '/transfer': {
+        usage: '/transfer <staff ID or role> <project>', summary: "Move someone to another of the studio's projects.", agent: 'producer',
+        validate: validateTransfer,
+        run: transferStaff
+    },
+    '/ship': {
+        usage: '/ship', summary: 'Release the game once it has gone Gold.', agent: 'producer',
+        validate: () => simulationState.gameState.gameReleased ? "The game is already out." : null,
+        run: () => { shipGame(); return false; }
+    }
+};
+
+function commandName(input) {
+    return input.trim().split(/\s+/)[0].toLowerCase();
+}
+
+function commandArguments(input) {
+    return input.trim().split(/\s+/).slice(1);
+}
+
+function validateAnswer(input) {
+    const [questionId, ...answer] = commandArguments(input);
+    if (!questionId || !questionId.startsWith('uq-') || answer.length === 0) return 'Usage: /answer <question ID> <answer>';
+    const question = simulationState.unansweredQuestions.find(uq => uq.id === questionId);
+    if (!question) return `No question with ID ${questionId}.`;
+    if (isConflict(question)) return `${questionId} is a conflict; settle it with /resolve ${questionId} <quantum ID>.`;
+    return question.status === 'Open' ? null : `Question ${questionId} is already ${question.status.toLowerCase()}.`;
+}
+
+function validateResolve(input) {
+    const [conflictId, quantumId] = commandArguments(input);
+    if (!conflictId || !quantumId) return `Usage: ${WEEKLY_COMMANDS['/resolve'].usage}`;
+    const conflict = simulationState.unansweredQuestions.find(uq => uq.id === conflictId && isConflict(uq));
+    if (!conflict) return `No conflict with ID ${conflictId}.`;
+    if (conflict.status !== 'Open') return `Conflict ${conflictId} is already ${conflict.status.toLowerCase()}.`;
+    return conflict.quantumIds.includes(quantumId) ? null : `${quantumId} is not part of ${conflictId}; choose ${conflict.quantumIds.join(' or ')}.`;
+}
+
+function validateQuantumArgument(input, verb) {
+    const quantumId = commandArguments(input)[0];
+    if (!quantumId) return `Usage: ${WEEKLY_COMMANDS[`/${verb}`].usage}`;
+    const quantum = findQuantum(quantumId);
+    return quantum && quantum.status === 'Active' ? null : `Cannot ${verb} ${quantumId}: no active quantum with that ID.`;
+}
+
+function validateBugArgument(input, isActionable) {
+    const bugId = commandArguments(input)[0];
+    const bug = findBug(bugId);
+    if (!bug) return bugId ? `No bug report with ID ${bugId}.` : `Usage: ${WEEKLY_COMMANDS[commandName(input)].usage}`;
+    return isActionable(bug) ? null : `${bugId} is already ${bug.status}.`;
+}
+
+/**
+ * Checks a weekly command without running it.
+ * @param {string} input - The raw command line.
+ * @returns {string|null} What is wrong with it, or null if it can be queued.
+ */
+function validateCommand(input) {
+    const name = commandName(input);
+    const command = WEEKLY_COMMANDS[name];
+    if (isProjectOver()) return "This project is finished. Type /switch to pick another, or /project to start a new one.";
+    if (!command) {
+        return name.startsWith('/') ? `Unknown command "${name}". Type /help for a list of commands.` : 'Commands start with "/". Type /help for a list of commands.';
+    }
+    return command.validate ? command.validate(input) : null;
+}
+
+// Runs a queued command; errors are reported on the agent line the command would have used.
+async function runCommand(input) {
+    const error = validateCommand(input);
+    if (error) {
+        const command = WEEKLY_COMMANDS[commandName(input)];
+        simulationState.gameState.lastAgentActivity[command ? command.agent : 'translator'] = error;
+        return false;
+    }
+    return Boolean(await WEEKLY_COMMANDS[commandName(input)].run(input));
+}
+
+// --- QUEUE & STATUS ---
+function queueSummary() {
+    const queue = simulationState.gameState.commandQueue;
+    if (queue.length === 0) return "The command queue is empty.";
+    return `Queued (next first): ${queue.map((command, i) => `${i + 1}. ${command}`).join(' · ')}`;
+}
+
+// Moves the command at 1-based position `from` to position `to`. Returns an error message or null.
+function moveQueuedCommand(from, to) {
+    const queue = simulationState.gameState.commandQueue;
+    if (!(from >= 1 && from <= queue.length && to >= 1 && to <= queue.length)) return `Positions must be between 1 and ${queue.length}.`;
+    queue.splice(to - 1, 0, queue.splice(from - 1, 1)[0]);
+    return null;
+}
+
+function dropQueuedCommand(position) {
+    const queue = simulationState.gameState.commandQueue;
+    if (!(position >= 1 && position <= queue.length)) return `Positions must be between 1 and ${queue.length}.`;
+    queue.splice(position - 1, 1);
+    return null;
+}
+
+function statusSummary() {
+    const { gameState, unansweredQuestions } = simulationState;
+    const openQuestions = unansweredQuestions.filter(uq => uq.status === 'Open').length;
+    return [
+        `Week ${gameState.currentWeek} · ${currentPhase().label}`,
+        `design ${gameState.designCompleteness.toFixed(0)}% · build ${gameState.buildProgress.toFixed(0)}% · hype ${gameState.marketHype.toFixed(0)}%`,
+        `$${gameState.budget.toLocaleString()} (${runwayWeeks()} wks runway)`,
+        `${activeQuanta().length} facts · ${openQuestions} open questions · ${gameState.bugs} bugs`,
+        `${gameState.commandQueue.length} queued`
+    ].join(' · ');
+}
+
+// --- TAB COMPLETION ---
+function completionIds(kind) {
+    if (kind === 'question') return simulationState.unansweredQuestions.filter(uq => uq.status === 'Open' && !isConflict(uq)).map(uq => uq.id);
+    if (kind === 'conflict') return openConflicts().map(uq => uq.id);
+    if (kind === 'quantum') return activeQuanta().map(q => q.quantumId);
+    if (kind === 'bug') return simulationState.bugReports.filter(isUnresolved).map(bug => bug.id);
+    if (kind === 'project') return studioState.projects.map(project => project.id);
+    return [];
+}
+
+/**
+ * Lists the ways the command being typed can be completed: a command name for the first word,
+ * otherwise an ID for commands that take one, and for /resolve the facts the conflict is between.
+ * @param {string} input - The command line so far.
+ * @param {Object} commands - Every command the caller accepts, keyed by name (defaults to the weekly ones).
+ * @returns {string[]} Full replacement command lines.
+ */
+function completeCommand(input, commands = WEEKLY_COMMANDS) {
+    const words = input.trimStart().split(/\s+/);
+    if (words.length === 1) {
+        return Object.keys(commands).filter(name => name.startsWith(words[0].toLowerCase())).map(name => `${name} `);
+    }
+    const command = commands[words[0].toLowerCase()];
+    if (words.length === 3 && command && command.idArgument === 'conflict') {
+        const conflict = openConflicts().find(uq => uq.id === words[1]);
+        return conflict ? conflict.quantumIds.filter(id => id.startsWith(words[2])).map(id => `${words[0]} ${words[1]} ${id} `) : [];
+    }
+    if (words.length !== 2 || !command || !command.idArgument) return [];
+    return completionIds(command.idArgument).filter(id => id.startsWith(words[1])).map(id => `${words[0]} ${id} `);
+}
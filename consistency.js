@@ -0,0 +1,136 @@
+// --- CONSISTENCY CHECKING ---
+// Each week the Inquisitor checks the whole Quantum Core for facts that cannot all be true. A conflict is raised
+// as an open question with kind: 'conflict', so it slows the team and risks bugs like any other open question,
+// until the player settles it with /resolve <conflict ID> <quantum ID>, picking the fact that wins.
+
+// Types a game has only one of.
+const SINGLETON_TYPES = ['Genre', 'Setting', 'ArtStyle'];
+
+// Fields that name another fact, and the types that name has to belong to.
+const REFERENCE_FIELDS = {
+    Ability: { owner: ['Character', 'Faction'] },
+    Character: { location: ['Location'] },
+    Faction: { location: ['Location'] }
+};
+
+// Free-text fields; two versions of a fact may describe it differently without contradicting each other.
+const DESCRIPTIVE_FIELDS = ['name', 'description'];
+
+function sameName(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// Two or more differently named facts of a singleton type.
+function singletonConflicts(quanta) {
+    return SINGLETON_TYPES.flatMap(type => {
+        const declared = quanta.filter(q => q.quantumType === type);
+        if (declared.every(q => sameName(q.data.name, declared[0].data.name))) return [];
+        return [{
+            kind: 'singleton',
+            quantumIds: declared.map(q => q.quantumId),
+            text: `The game can only have one ${type}, but ${declared.map(q => `${q.data.name} (${q.quantumId})`).join(', ')} are ${declared.length === 2 ? 'both' : 'all'} declared. Which one wins?`
+        }];
+    });
+}
+
+// Two facts about the same named thing that disagree on an attribute, e.g. a Character declared as both villain and mentor.
+function attributeConflicts(quanta) {
+    const conflicts = [];
+    quanta.forEach((a, i) => quanta.slice(i + 1).forEach(b => {
+        if (a.quantumType !== b.quantumType || !a.data.name || !sameName(a.data.name, b.data.name)) return;
+        const fields = Object.keys(a.data).filter(field => !DESCRIPTIVE_FIELDS.includes(field) && field in b.data && !sameName(a.data[field], b.data[field]));
+        if (fields.length === 0) return;
+        const values = quantum => fields.map(field => `${field}=${quantum.data[field]}`).join(', ');
+        conflicts.push({
+            kind: 'attribute',
+            quantumIds: [a.quantumId, b.quantumId],
+            text: `${a.quantumType} "${a.data.name}" is declared with ${values(a)} (${a.quantumId}) and with ${values(b)} (${b.quantumId}). Which one wins?`
+        });
+    }));
+    return conflicts;
+}
+
+// A fact that names another fact (an Ability's owner, a Character's location) that is not in the core.
+function referenceConflicts(quanta) {
+    return quanta.flatMap(q => Object.entries(REFERENCE_FIELDS[q.quantumType] || {})
+        .filter(([field, types]) => q.data[field] && !quanta.some(target => types.includes(target.quantumType) && sameName(target.data.name, q.data[field])))
+        .map(([field, types]) => ({
+            kind: 'reference',
+            quantumIds: [q.quantumId],
+            reference: { field, quantumType: types[0], name: q.data[field] },
+            text: `${q.quantumType} "${q.data.name}" (${q.quantumId}) has ${field} "${q.data[field]}", but no ${types.join(' or ')} by that name is declared. Keep it to declare ${q.data[field]} as a ${types[0]}, or amend or retract it.`
+        })));
+}
+
+/**
+ * Finds every contradiction in a set of quanta.
+ * @param {Object[]} [quanta] - Defaults to the active Quantum Core.
+ * @returns {Array<{key: string, kind: string, quantumIds: string[], text: string, reference?: Object}>}
+ *   The key identifies the same conflict from week to week.
+ */
+function detectConflicts(quanta = activeQuanta()) {
+    return [...singletonConflicts(quanta), ...attributeConflicts(quanta), ...referenceConflicts(quanta)].map(conflict => ({
+        key: `${conflict.kind}:${conflict.quantumIds.slice().sort().join(',')}${conflict.reference ? `:${conflict.reference.field}` : ''}`,
+        ...conflict
+    }));
+}
+
+function isConflict(question) {
+    return question.kind === 'conflict';
+}
+
+function openConflicts() {
+    return simulationState.unansweredQuestions.filter(uq => isConflict(uq) && uq.status === 'Open');
+}
+
+// Raises conflicts that are new this week and closes open ones that an amendment or retraction has already fixed.
+// Returns a note for the Inquisitor's line, or null when nothing changed.
+function consistencyTurn() {
+    const conflicts = detectConflicts();
+    const keys = new Set(conflicts.map(conflict => conflict.key));
+    const open = openConflicts();
+    const settled = open.filter(uq => !keys.has(uq.conflictKey));
+    settled.forEach(uq => { uq.status = 'Closed'; });
+
+    const known = new Set(open.map(uq => uq.conflictKey));
+    const raised = conflicts.filter(conflict => !known.has(conflict.key)).map(conflict => {
+        const question = {
+            id: generateId('uq'), kind: 'conflict', text: `Conflict: ${conflict.text}`, status: 'Open',
+            sourceQuantumId: conflict.quantumIds[0], quantumIds: conflict.quantumIds, conflictKey: conflict.key
+        };
+        if (conflict.reference) question.reference = conflict.reference;
+        return question;
+    });
+    simulationState.unansweredQuestions.push(...raised);
+
+    const notes = [];
+    if (raised.length > 0) notes.push(`Found ${raised.length} conflict(s) in the Quantum Core. Settle them with /resolve.`);
+    if (settled.length > 0) notes.push(`${settled.length} conflict(s) no longer apply.`);
+    return notes.length > 0 ? notes.join(' ') : null;
+}
+
+// "/resolve <conflict ID> <quantum ID>": the chosen fact stands. Its rivals are retracted; for a missing
+// reference, the fact it names is declared. Returns true when that added a fact for the Inquisitor to review.
+function resolveConflict(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const [conflictId, winnerId] = commandArguments(input);
+    const conflict = openConflicts().find(uq => uq.id === conflictId);
+    conflict.status = 'Resolved';
+    conflict.answer = `Kept ${winnerId}`;
+
+    let outcome;
+    let declared = false;
+    if (conflict.reference) {
+        const { quantumType, name } = conflict.reference;
+        const quantum = addQuantum({ quantumType, data: { name } }, input, { sourceQuestionId: conflict.id });
+        outcome = `declared ${quantumType} ${name} (${quantum.quantumId})`;
+        declared = true;
+    } else {
+        const losers = conflict.quantumIds.filter(id => id !== winnerId).map(findQuantum).filter(q => q && q.status === 'Active');
+        losers.forEach(withdrawQuantum);
+        outcome = `retracted ${losers.map(q => q.quantumId).join(', ') || 'nothing'}`;
+    }
+    const resolvedBugs = resolveBugsForQuestion(conflict.id);
+    activity.translator = `Resolved ${conflict.id}: kept ${winnerId}, ${outcome}.` + (resolvedBugs > 0 ? ` ${resolvedBugs} linked bug(s) resolved.` : '');
+    return declared;
+}
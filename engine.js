@@ -0,0 +1,407 @@
+// The project a new studio starts with. Its pitch is queued as the first /declare.
+const DEFAULT_PROJECT = {
+    name: "Project Chimera",
+    pitch: "'Project Chimera' is a third-person action RPG with stealth elements, set in a cyberpunk fantasy world.",
+    budget: 1000000
+};
+
+// --- SIMULATION STATE: THE SINGLE SOURCE OF TRUTH ---
+// One project's state. The studio (see studio.js) keeps every project and the bank they share.
+function createInitialState(seed = randomSeed(), { name = DEFAULT_PROJECT.name, pitch = DEFAULT_PROJECT.pitch, hype = 0 } = {}) {
+    return {
+        isWaitingForAgents: false,
+        agentStatusText: "Idle",
+        gameState: {
+            currentWeek: 1,
+            projectName: name,
+            budget: 0,
+            designCompleteness: 0,
+            buildProgress: 0,
+            bugs: 0,
+            marketHype: hype,
+            weeklySpend: 5000,
+            baseSpend: 5000,
+            marketingSpend: 0,
+            disciplineProgress: { code: 0, art: 0, design: 0 },
+            marketingActive: false,
+            phase: 'concept',
+            gameReleased: false,
+            bankrupt: false,
+            milestonesReached: [],
+            salesProjection: null,
+            finalScore: 0,
+            seed,
+            rngState: seed,
+            commandQueue: pitch ? [`/declare ${pitch}`] : [],
+            lastAgentActivity: {
+                translator: "Awaiting input.",
+                inquisitor: "Idle.",
+                producer: "Awaiting project start.",
+                marketing: "Planning phase."
+            }
+        },
+        quantumCore: [],
+        unansweredQuestions: [],
+        bugReports: [],
+        team: { members: [], crunch: false, qaBacklog: 0 },
+        ledger: [],
+        market: createMarket(),
+        eventLog: [],
+    };
+}
+
+let simulationState = null;
+
+// Starts over with a new studio running the default project; omit the seed for a random one.
+function resetSimulation(seed = randomSeed()) {
+    studioState = createStudio(seed);
+    return startProject();
+}
+
+resetSimulation();
+
+// --- SEEDED RANDOMNESS ---
+// Mulberry32. Its whole state lives in gameState.rngState, so a save or a headless
+// run with the same seed and commands replays exactly the same rolls.
+function random() {
+    const gameState = simulationState.gameState;
+    gameState.rngState = (gameState.rngState + 0x6D2B79F5) >>> 0;
+    let t = gameState.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// The only unseeded roll in the simulation: picking a seed for a fresh project.
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// --- AGENT BEHAVIOR & SIMULATION LOGIC ---
+let useLlmTranslator = false;
+
+function generateId(prefix = 'q') {
+    return `${prefix}-${Math.floor(random() * 36 ** 9).toString(36).padStart(9, '0')}`;
+}
+
+// Runs the LLM path when enabled, falling back to the rule-based extractor.
+async function interpretStatement(input) {
+    const llmQuanta = useLlmTranslator ? await llmExtractQuanta(input) : null;
+    return llmQuanta ? { quanta: llmQuanta, source: 'LLM' } : { quanta: extractQuanta(input), source: 'rules' };
+}
+
+function projectHashtag() {
+    return `#${simulationState.gameState.projectName.replace(/[^A-Za-z0-9]/g, '')}`;
+}
+
+function activeQuanta() {
+    return simulationState.quantumCore.filter(q => q.status === 'Active');
+}
+
+function findQuantum(quantumId) {
+    return simulationState.quantumCore.find(q => q.quantumId === quantumId);
+}
+
+// Files a new fact in the Quantum Core as version 1 of an active quantum.
+function addQuantum(q, input, links = {}) {
+    q.quantumId = generateId();
+    q.version = 1;
+    q.status = "Active";
+    q.createdAt = `Week ${simulationState.gameState.currentWeek}`;
+    q.updatedAt = q.createdAt;
+    q.declarationSource = input;
+    q.history = [];
+    Object.assign(q, links);
+    simulationState.quantumCore.push(q);
+    return q;
+}
+
+async function translatorTurn(input, links = {}) {
+    simulationState.gameState.lastAgentActivity.translator = `Parsing: "${input.substring(0, 30)}..."`;
+    const { quanta: newQuanta, source } = await interpretStatement(input);
+
+    if (newQuanta.length > 0) {
+        newQuanta.forEach(q => addQuantum(q, input, links));
+        simulationState.gameState.lastAgentActivity.translator = `Created ${newQuanta.length} new quanta (${source}): ${newQuanta.map(q => q.quantumType).join(', ')}.`;
+        return true;
+    } else {
+        simulationState.gameState.lastAgentActivity.translator = `No new quanta defined from input.`;
+        return false;
+    }
+}
+
+/**
+ * Works out the data for a new version of a quantum from a revision statement.
+ * Accepts either explicit field assignments ("name=Vesper Prime; role=antagonist")
+ * or a natural-language statement that extracts to a quantum of the same type.
+ * @returns {Promise<Object|null>} The revised data, or null if nothing valid could be derived.
+ */
+async function reviseQuantumData(quantum, statement) {
+    let data = null;
+    if (/^\s*\w+\s*=/.test(statement)) {
+        data = { ...quantum.data };
+        statement.split(';').forEach(assignment => {
+            const [field, ...value] = assignment.split('=');
+            if (field.trim()) data[field.trim()] = value.join('=').trim();
+        });
+        Object.keys(data).forEach(field => { if (data[field] === '') delete data[field]; });
+    } else {
+        const { quanta } = await interpretStatement(statement);
+        const match = quanta.find(q => q.quantumType === quantum.quantumType);
+        if (match) data = match.data;
+    }
+    if (!data || validateQuantum({ quantumType: quantum.quantumType, data }).length > 0) return null;
+    return data;
+}
+
+async function amendQuantum(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const match = input.match(/^\/amend\s+(q-[a-z0-9]+)\s+(.+)$/i);
+    if (!match) {
+        activity.translator = "Usage: /amend <quantumId> <revised statement or field=value; ...>";
+        return false;
+    }
+    const quantum = findQuantum(match[1]);
+    if (!quantum || quantum.status !== 'Active') {
+        activity.translator = `Cannot amend ${match[1]}: no active quantum with that ID.`;
+        return false;
+    }
+    const data = await reviseQuantumData(quantum, match[2]);
+    if (!data) {
+        activity.translator = `Could not derive a valid ${quantum.quantumType} from the amendment.`;
+        return false;
+    }
+    const week = `Week ${simulationState.gameState.currentWeek}`;
+    quantum.history.push({
+        version: quantum.version,
+        data: quantum.data,
+        status: 'Superseded',
+        createdAt: quantum.updatedAt,
+        supersededAt: week,
+        declarationSource: quantum.declarationSource
+    });
+    quantum.version++;
+    quantum.data = data;
+    quantum.updatedAt = week;
+    quantum.declarationSource = input;
+    activity.translator = `Amended ${quantum.quantumId} to v${quantum.version}.`;
+    return true;
+}
+
+// Retracting a fact closes the questions it raised and re-opens the question it answered.
+function retractQuantum(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const match = input.match(/^\/retract\s+(q-[a-z0-9]+)/i);
+    const quantum = match && findQuantum(match[1]);
+    if (!quantum || quantum.status !== 'Active') {
+        activity.translator = match ? `Cannot retract ${match[1]}: no active quantum with that ID.` : "Usage: /retract <quantumId>";
+        return false;
+    }
+    const { closed, reopened } = withdrawQuantum(quantum);
+    activity.translator = `Retracted ${quantum.quantumId}; closed ${closed}, re-opened ${reopened} question(s).`;
+    return true;
+}
+
+// The bookkeeping behind /retract, shared with conflict resolution. Returns how many questions were closed and re-opened.
+function withdrawQuantum(quantum) {
+    quantum.status = 'Retracted';
+    quantum.retractedAt = `Week ${simulationState.gameState.currentWeek}`;
+
+    const closed = simulationState.unansweredQuestions.filter(uq => uq.sourceQuantumId === quantum.quantumId && uq.status === 'Open');
+    closed.forEach(uq => { uq.status = 'Closed'; });
+
+    let reopened = 0;
+    const answeredQuestion = simulationState.unansweredQuestions.find(uq => uq.id === quantum.sourceQuestionId);
+    const answerStillStands = activeQuanta().some(q => q.sourceQuestionId === quantum.sourceQuestionId);
+    if (answeredQuestion && answeredQuestion.status === 'Answered' && !answerStillStands) {
+        answeredQuestion.status = 'Open';
+        delete answeredQuestion.answer;
+        reopened = 1;
+    }
+    return { closed: closed.length, reopened };
+}
+
+// "/history <quantum ID>": every version of a fact, oldest first, as one line for the command feedback.
+function quantumHistorySummary(input) {
+    const match = input.match(/^\/history\s+(q-[a-z0-9]+)/i);
+    const quantum = match && findQuantum(match[1]);
+    if (!quantum) return match ? `No quantum with ID ${match[1]}.` : "Usage: /history <quantum ID>";
+    const versions = [...quantum.history, { version: quantum.version, data: quantum.data, status: quantum.status }];
+    return `${quantum.quantumId}: ` + versions.map(v => `v${v.version} ${v.data.name || v.data.description} (${v.status})`).join(' -> ');
+}
+
+async function inquisitorTurn() {
+    const recentQuanta = activeQuanta().filter(q => q.updatedAt === `Week ${simulationState.gameState.currentWeek}`);
+    if (recentQuanta.length === 0) {
+        simulationState.gameState.lastAgentActivity.inquisitor = "No new facts to analyze.";
+        return;
+    }
+
+    if (!agentTriggered('inquisitor')) {
+        simulationState.gameState.lastAgentActivity.inquisitor = `Skipped ${recentQuanta.length} new fact(s); not due this week.`;
+        return;
+    }
+
+    simulationState.gameState.lastAgentActivity.inquisitor = `Analyzing ${recentQuanta.length} new fact(s)...`;
+    const newQuestions = [];
+    for (const q of recentQuanta) {
+        if (q.declarationSource.toLowerCase().startsWith('/answer')) continue;
+        const designFact = `[${q.quantumType}] ${q.data.name || q.data.description}`;
+        const reply = await queryAgent(agentPrompt('inquisitor'), designFact, 'inquisitor');
+        const questionText = reply.startsWith("Fallback:") ? null : constrainReply('inquisitor', reply);
+        if (questionText) {
+            newQuestions.push({ id: generateId('uq'), text: questionText, status: "Open", sourceQuantumId: q.quantumId });
+        }
+    }
+    if (newQuestions.length > 0) {
+        simulationState.unansweredQuestions.push(...newQuestions);
+        simulationState.gameState.lastAgentActivity.inquisitor = `Generated ${newQuestions.length} new question(s).`;
+    } else {
+        simulationState.gameState.lastAgentActivity.inquisitor = "Analysis complete. No new questions.";
+    }
+}
+
+async function producerTurn() {
+    if (simulationState.gameState.gameReleased) {
+        chargeWeeklyCosts();
+        postLaunchTurn();
+        return;
+    }
+    if (activeQuanta().length === 0) {
+        simulationState.gameState.lastAgentActivity.producer = 'Idle.';
+        return;
+    }
+    chargeWeeklyCosts();
+    const openQuestions = simulationState.unansweredQuestions.filter(q => q.status === 'Open');
+    const progressThisWeek = teamWorkTurn(openQuestions.length);
+    const fixedBugs = qaTurn() + bugFixTurn();
+    const moraleEvent = moraleTurn();
+    const buildCap = phaseBuildCap();
+    let activityLog = `+${progressThisWeek.toFixed(1)}% progress.`;
+    if (progressThisWeek === 0 && buildCap < 100 && simulationState.gameState.buildProgress >= buildCap) {
+        activityLog = `Build blocked at ${buildCap}% until ${nextPhase().label}.`;
+    }
+    if (fixedBugs > 0) activityLog += ` Fixed ${fixedBugs} bug(s).`;
+    if (moraleEvent) activityLog += ` ${moraleEvent}`;
+    const producer = agentDefinition('producer');
+    if (openQuestions.length > 0 && agentScheduled(producer) && random() < (openQuestions.length * producer.trigger.chance)) {
+        const questionToBlame = openQuestions[Math.floor(random() * openQuestions.length)];
+        const reply = await queryAgent(agentPrompt('producer'), `The unresolved question is: "${questionToBlame.text}"`, 'producer');
+        const bugText = reply.startsWith("Fallback:") ? null : constrainReply('producer', reply);
+        if (bugText) {
+            const bug = createBugReport(bugText, questionToBlame.id);
+            simulationState.bugReports.push(bug);
+            recountBugs();
+            activityLog = `A new ${bug.severity} bug was reported!`;
+        }
+    }
+    simulationState.gameState.lastAgentActivity.producer = activityLog;
+}
+
+async function marketingTurn() {
+    // After launch the sales period reports reviews on this line instead.
+    if (simulationState.gameState.gameReleased) return;
+    if (!simulationState.gameState.marketingActive) {
+        simulationState.gameState.lastAgentActivity.marketing = 'Planning...';
+        return;
+    }
+    const recentQuanta = activeQuanta().filter(q => q.createdAt === `Week ${simulationState.gameState.currentWeek}`);
+    const featureToHype = recentQuanta.find(q => ['Ability', 'Character', 'MechanicPillar', 'Setting', 'Faction', 'Item', 'Location'].includes(q.quantumType));
+    let posted = false;
+    if (featureToHype && agentTriggered('marketing')) {
+        const featureDescription = `The new game feature is a ${featureToHype.quantumType} called '${featureToHype.data.name}'.`;
+        const reply = await queryAgent(agentPrompt('marketing'), featureDescription, 'marketing');
+        const hypeText = reply.startsWith("Fallback:") ? null : constrainReply('marketing', reply);
+        posted = Boolean(hypeText);
+        simulationState.gameState.lastAgentActivity.marketing = posted ? hypeText : "Creative block! We'll post something next week.";
+    }
+    const hypeNote = hypeTurn(posted);
+    if (hypeNote) simulationState.gameState.lastAgentActivity.marketing = hypeNote;
+    rampMarketingSpend();
+}
+
+async function resolveAnswer(input) {
+    const questionIdMatch = input.match(/(\/answer\s+)(uq-[a-z0-9]+)/i);
+    const questionId = questionIdMatch && questionIdMatch[2];
+    const question = simulationState.unansweredQuestions.find(q => q.id === questionId && q.status === 'Open');
+    if (!question) {
+        simulationState.gameState.lastAgentActivity.translator = questionId ? `No open question with ID ${questionId}.` : "Usage: /answer <question ID> <answer>";
+        return false;
+    }
+    question.status = "Answered";
+    question.answer = stripCommand(input);
+    await translatorTurn(input, { sourceQuestionId: questionId });
+    const resolvedBugs = resolveBugsForQuestion(questionId);
+    simulationState.gameState.lastAgentActivity.translator = `Answered question ${questionId}.` + (resolvedBugs > 0 ? ` ${resolvedBugs} linked bug(s) resolved.` : '');
+    return true;
+}
+
+// A released game keeps running through its sales period; the project is over once that ends.
+function isProjectOver() {
+    return isLaunchFinished() || simulationState.gameState.bankrupt;
+}
+
+/**
+ * Plays one week: processes the next queued command, runs every agent and updates
+ * the derived metrics. Touches no DOM, so the browser UI and headless.js share it.
+ */
+async function runWeek() {
+    if (isProjectOver()) return;
+    resetAgentRequestBudget();
+
+    // Staffing and bug commands report through the Producer; keep that note when its weekly turn overwrites the line.
+    const activity = simulationState.gameState.lastAgentActivity;
+    const producerBefore = activity.producer;
+    const week = simulationState.gameState.currentWeek;
+    const input = simulationState.gameState.commandQueue.shift();
+    if (input && input.trim() !== '') logEvent('command', input);
+    const processed = input && input.trim() !== '' ? await runCommand(input) : false;
+    const producerNote = activity.producer !== producerBefore ? activity.producer : '';
+
+    const agentPromises = [];
+    if (processed) {
+        agentPromises.push(inquisitorTurn());
+    }
+    agentPromises.push(producerTurn());
+    agentPromises.push(marketingTurn());
+    
+    await Promise.all(agentPromises);
+    if (activity.producer !== producerNote && producerNote) activity.producer = `${producerNote} ${activity.producer}`;
+    await customAgentsTurn();
+    const conflictNote = consistencyTurn();
+    if (conflictNote) activity.inquisitor = processed ? `${activity.inquisitor} ${conflictNote}` : conflictNote;
+    const marketNotes = marketTurn();
+    if (marketNotes.length > 0) activity.marketing = marketNotes.join(' ');
+
+    simulationState.gameState.currentWeek++;
+    const openQuestions = simulationState.unansweredQuestions.filter(q => q.status === 'Open').length;
+    const activeCount = activeQuanta().length;
+    const totalItems = activeCount + openQuestions;
+    simulationState.gameState.designCompleteness = totalItems > 0 ? (activeCount / totalItems) * 100 : 0;
+
+    const notes = [];
+    const phase = phaseTurn();
+    if (phase) notes.push(phase.id === 'gold' ? 'The game has gone Gold! Type /ship to release it.' : `Entered ${phase.label}.`);
+    const milestones = fundingTurn();
+    if (milestones.length > 0) {
+        notes.push(`Publisher milestone reached: ${milestones.map(m => `${m.label} (+$${m.funding.toLocaleString()})`).join(', ')}.`);
+    }
+    notes.forEach(note => logEvent('milestone', note, { week }));
+    if (notes.length > 0) activity.producer = notes.join(' ');
+    checkBankruptcy();
+    logAgentActivity(week);
+    recordMetrics(week);
+    trimEventLog(week);
+}
+
+// Launches the game into its sales period; the final score is settled when that ends (see finishLaunch).
+function releaseGame() {
+    const gameState = simulationState.gameState;
+    gameState.gameReleased = true;
+    gameState.salesProjection = projectSales(bugQualityScore());
+    gameState.marketingSpend = 0;
+    updateWeeklySpend();
+    startLaunch();
+    gameState.lastAgentActivity.producer = `GAME RELEASED! Forecast: ${gameState.salesProjection.units.toLocaleString()} units over the ${POST_LAUNCH_WEEKS}-week sales period.`;
+    logEvent('release', gameState.lastAgentActivity.producer, { data: { ...gameState.salesProjection } });
+}
@@ -0,0 +1,93 @@
+// --- EVENT LOG & TIMELINE ---
+// simulationState.eventLog keeps everything that happened, oldest first: commands, agent prompts and replies
+// (including fallbacks and errors), each agent's weekly activity, metric changes, milestones and release events.
+// Entries look like { week, type, agent, text, data }; agent and data are optional.
+// The log is saved with the game and copied into every undo snapshot, so the agents' chatter (prompts, replies,
+// activity lines and errors) is only kept for the latest EVENT_LOG_AGENT_WEEKS weeks; commands, metrics,
+// milestones and release events are a line or two a week and stay for the whole game.
+const EVENT_LOG_AGENT_WEEKS = 26;
+const TRIMMED_EVENT_TYPES = ['prompt', 'response', 'activity', 'error'];
+const EVENT_TYPES = ['command', 'prompt', 'response', 'error', 'activity', 'metrics', 'milestone', 'release'];
+
+// Timeline filters by name. An agent's ID (e.g. "marketing", or a custom agent's) also works as a filter.
+const EVENT_FILTERS = {
+    all: EVENT_TYPES,
+    commands: ['command'],
+    agents: ['prompt', 'response', 'activity'],
+    errors: ['error'],
+    metrics: ['metrics'],
+    milestones: ['milestone', 'release']
+};
+
+// The metrics charted over time, with how each is shown in the metrics event text.
+const TRACKED_METRICS = [
+    { key: 'designCompleteness', label: 'Design', format: value => `${value.toFixed(1)}%` },
+    { key: 'buildProgress', label: 'Build', format: value => `${value.toFixed(1)}%` },
+    { key: 'marketHype', label: 'Hype', format: value => `${value.toFixed(1)}%` },
+    { key: 'budget', label: 'Budget', format: value => `$${Math.round(value).toLocaleString()}` },
+    { key: 'bugs', label: 'Bugs', format: value => String(value) }
+];
+
+function logEvent(type, text, { agent = null, data = null, week = simulationState.gameState.currentWeek } = {}) {
+    const event = { week, type, text };
+    if (agent) event.agent = agent;
+    if (data) event.data = data;
+    simulationState.eventLog.push(event);
+    return event;
+}
+
+// Logs each agent's activity line for the week, skipping lines that have not changed since they were last logged.
+function logAgentActivity(week) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    agentNames().forEach(agent => {
+        if (!activity[agent]) return;
+        const last = simulationState.eventLog.filter(event => event.type === 'activity' && event.agent === agent).pop();
+        if (!last || last.text !== activity[agent]) logEvent('activity', activity[agent], { agent, week });
+    });
+}
+
+/**
+ * Snapshots the tracked metrics at the end of a week. The metrics events are what the timeline chart plots.
+ * @param {number} week - The week that has just been played.
+ * @returns {Object} The logged event; its text lists what changed since the previous snapshot.
+ */
+function recordMetrics(week) {
+    const gameState = simulationState.gameState;
+    const previous = metricsHistory().pop();
+    const data = {};
+    TRACKED_METRICS.forEach(metric => { data[metric.key] = gameState[metric.key]; });
+    const changes = TRACKED_METRICS
+        .filter(metric => !previous || previous[metric.key] !== data[metric.key])
+        .map(metric => {
+            const delta = previous ? data[metric.key] - previous[metric.key] : 0;
+            const sign = delta > 0 ? '+' : '-';
+            return `${metric.label} ${metric.format(data[metric.key])}` + (previous ? ` (${sign}${metric.format(Math.abs(delta))})` : '');
+        });
+    return logEvent('metrics', changes.length > 0 ? changes.join(', ') : 'No change.', { week, data });
+}
+
+// Drops agent events from before the kept window; called once a week, after that week's metrics are recorded.
+function trimEventLog(week) {
+    const oldest = week - EVENT_LOG_AGENT_WEEKS;
+    simulationState.eventLog = simulationState.eventLog.filter(event => event.week > oldest || !TRIMMED_EVENT_TYPES.includes(event.type));
+}
+
+function metricsHistory() {
+    return simulationState.eventLog.filter(event => event.type === 'metrics').map(event => ({ week: event.week, ...event.data }));
+}
+
+function isEventFilter(filter) {
+    return Boolean(EVENT_FILTERS[filter]) || agentNames().includes(filter);
+}
+
+function filterEvents(filter = 'all') {
+    if (agentNames().includes(filter)) return simulationState.eventLog.filter(event => event.agent === filter);
+    const types = EVENT_FILTERS[filter] || EVENT_TYPES;
+    return simulationState.eventLog.filter(event => types.includes(event.type));
+}
+
+// The exported timeline: the (optionally filtered) events plus enough context to tell runs apart.
+function eventLogExport(filter = 'all') {
+    const { projectName, seed, currentWeek } = simulationState.gameState;
+    return { projectName, seed, week: currentWeek, filter, exportedAt: new Date().toISOString(), events: filterEvents(filter) };
+}
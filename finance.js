@@ -0,0 +1,142 @@
+// --- FINANCES: LEDGER, FUNDING & SALES ---
+const EXPENSE_CATEGORIES = ['staff', 'tools', 'marketing', 'contractors'];
+// Marketing ramps its weekly spend up by this much once active, but never past the cap.
+const MARKETING_SPEND_STEP = 2000;
+const MARKETING_SPEND_CAP = 10000;
+
+// Funding the publisher releases (once each) when the project hits its targets.
+const PUBLISHER_MILESTONES = [
+    { id: 'vertical-slice', label: 'Vertical Slice', funding: 150000, isMet: gs => gs.buildProgress >= 25 && gs.designCompleteness >= 50 },
+    { id: 'first-playable', label: 'First Playable', funding: 200000, isMet: gs => gs.buildProgress >= 50 && gs.designCompleteness >= 65 },
+    { id: 'content-complete', label: 'Content Complete', funding: 250000, isMet: gs => gs.buildProgress >= 80 && gs.designCompleteness >= 75 }
+];
+
+// Monetization quanta decide how sales turn into revenue; the first one declared wins, Premium is the default (see revenueModel).
+const REVENUE_MODELS = {
+    'Premium': { pricePerUnit: 30, playersPerUnit: 1 },
+    'Free-to-Play': { pricePerUnit: 4, playersPerUnit: 6 },
+    'Subscription': { pricePerUnit: 36, playersPerUnit: 0.6 },
+    'Early Access': { pricePerUnit: 20, playersPerUnit: 1.2 }
+};
+const PLATFORM_REVENUE_SHARE = 0.7;
+const BASE_UNIT_SALES = 250000;
+// How many of the latest weeks /ledger itemizes.
+const LEDGER_SUMMARY_WEEKS = 3;
+
+function currentLedgerEntry() {
+    const week = simulationState.gameState.currentWeek;
+    let entry = simulationState.ledger.find(e => e.week === week);
+    if (!entry) {
+        entry = { week, staff: 0, tools: 0, marketing: 0, contractors: 0, funding: 0, revenue: 0, balance: simulationState.gameState.budget };
+        simulationState.ledger.push(entry);
+    }
+    return entry;
+}
+
+function recordExpense(category, amount) {
+    const entry = currentLedgerEntry();
+    entry[category] += amount;
+    simulationState.gameState.budget -= amount;
+    entry.balance = simulationState.gameState.budget;
+}
+
+function recordFunding(amount) {
+    const entry = currentLedgerEntry();
+    entry.funding += amount;
+    simulationState.gameState.budget += amount;
+    entry.balance = simulationState.gameState.budget;
+}
+
+// Sales income after release, net of the platform's cut.
+function recordRevenue(amount) {
+    const entry = currentLedgerEntry();
+    entry.revenue += amount;
+    simulationState.gameState.budget += amount;
+    entry.balance = simulationState.gameState.budget;
+}
+
+// Pays salaries, studio tools/overhead and the marketing budget for the week.
+function chargeWeeklyCosts() {
+    updateWeeklySpend();
+    recordExpense('staff', payroll());
+    recordExpense('tools', simulationState.gameState.baseSpend);
+    recordExpense('marketing', simulationState.gameState.marketingSpend);
+}
+
+function rampMarketingSpend() {
+    const gameState = simulationState.gameState;
+    gameState.marketingSpend = Math.min(MARKETING_SPEND_CAP, gameState.marketingSpend + MARKETING_SPEND_STEP);
+}
+
+function totalExpenses() {
+    return simulationState.ledger.reduce((total, entry) => total + EXPENSE_CATEGORIES.reduce((sum, category) => sum + entry[category], 0), 0);
+}
+
+function totalFunding() {
+    return simulationState.ledger.reduce((total, entry) => total + entry.funding, 0);
+}
+
+function totalRevenue() {
+    return simulationState.ledger.reduce((total, entry) => total + entry.revenue, 0);
+}
+
+// Weeks the studio bank can keep paying the current weekly spend of every running project.
+function runwayWeeks() {
+    const budget = studioState.budget;
+    const weeklySpend = studioWeeklySpend();
+    return weeklySpend > 0 ? Math.max(0, Math.floor(budget / weeklySpend)) : Infinity;
+}
+
+// Releases publisher funding for every newly met milestone; returns the milestones paid out this week.
+function fundingTurn() {
+    const gameState = simulationState.gameState;
+    const reached = PUBLISHER_MILESTONES.filter(milestone => !gameState.milestonesReached.includes(milestone.id) && milestone.isMet(gameState));
+    reached.forEach(milestone => {
+        gameState.milestonesReached.push(milestone.id);
+        recordFunding(milestone.funding);
+    });
+    return reached;
+}
+
+function checkBankruptcy() {
+    const gameState = simulationState.gameState;
+    if (gameState.budget >= 0) return false;
+    gameState.bankrupt = true;
+    gameState.lastAgentActivity.producer = `BANKRUPT! The studio ran out of money in week ${gameState.currentWeek}.`;
+    logEvent('milestone', gameState.lastAgentActivity.producer);
+    return true;
+}
+
+/**
+ * Projects lifetime sales from hype, quality and design score, using the declared Monetization model.
+ * @param {number} qualityScore - Release-time quality (0-100).
+ * @returns {{units: number, players: number, revenue: number, profit: number, model: string}}
+ */
+function projectSales(qualityScore) {
+    const { marketHype, designCompleteness } = simulationState.gameState;
+    const { model, pricePerUnit, playersPerUnit } = revenueModel();
+    const demand = Math.pow(0.1 + marketHype / 100, 1.5) * Math.pow(qualityScore / 100, 1.2) * (0.5 + designCompleteness / 200);
+    const units = Math.round(BASE_UNIT_SALES * demand);
+    const revenue = Math.round(units * pricePerUnit * PLATFORM_REVENUE_SHARE);
+    return { units, players: Math.round(units * playersPerUnit), revenue, profit: revenue - totalExpenses(), model };
+}
+
+function revenueModel() {
+    const monetization = activeQuanta().find(q => q.quantumType === 'Monetization' && REVENUE_MODELS[q.data.name]);
+    const model = monetization ? monetization.data.name : 'Premium';
+    return { model, ...REVENUE_MODELS[model] };
+}
+
+// The latest few weeks by category, then the project's totals and the studio's runway.
+function ledgerSummary() {
+    const entries = simulationState.ledger.slice(-LEDGER_SUMMARY_WEEKS);
+    if (entries.length === 0) return "The ledger is empty.";
+    const weeks = entries.map(entry => {
+        const parts = EXPENSE_CATEGORIES.map(category => `${category} $${entry[category].toLocaleString()}`);
+        if (entry.funding > 0) parts.push(`funding +$${entry.funding.toLocaleString()}`);
+        if (entry.revenue > 0) parts.push(`sales +$${entry.revenue.toLocaleString()}`);
+        return `Week ${entry.week}: ${parts.join(' · ')}`;
+    });
+    const totals = `Total spent $${totalExpenses().toLocaleString()} · funding +$${totalFunding().toLocaleString()} · sales +$${totalRevenue().toLocaleString()} · runway ${runwayWeeks()} wks`;
+    return [...weeks, totals].join(' | ');
+}
@@ -0,0 +1,136 @@
+// --- DESIGN DOCUMENT EXPORT ---
+// Gathers the active Quantum Core into GDD sections, one per quantum type, with each fact's questions and bugs.
+function buildGddModel() {
+    const { gameState, unansweredQuestions, bugReports } = simulationState;
+    const quanta = activeQuanta();
+    const knownTypes = Object.keys(QUANTUM_TYPES);
+    const types = [...knownTypes, ...new Set(quanta.map(q => q.quantumType).filter(t => !knownTypes.includes(t)))];
+    const sections = types
+        .map(type => ({
+            type,
+            facts: quanta.filter(q => q.quantumType === type).map(q => {
+                const questions = unansweredQuestions.filter(uq => uq.sourceQuantumId === q.quantumId);
+                const questionIds = questions.map(uq => uq.id);
+                return {
+                    quantum: q,
+                    title: q.data.name || q.data.description,
+                    attributes: Object.entries(q.data).filter(([field]) => field !== 'name' && !(field === 'description' && !q.data.name)),
+                    answered: questions.filter(uq => uq.status === 'Answered'),
+                    open: questions.filter(uq => uq.status === 'Open'),
+                    bugs: bugReports.filter(bug => questionIds.includes(bug.sourceQuestionId))
+                };
+            })
+        }))
+        .filter(section => section.facts.length > 0);
+    const factTitles = Object.fromEntries(quanta.map(q => [q.quantumId, `[${q.quantumType}] ${q.data.name || q.data.description}`]));
+    return {
+        projectName: gameState.projectName,
+        week: gameState.currentWeek,
+        designCompleteness: gameState.designCompleteness,
+        buildProgress: gameState.buildProgress,
+        factCount: quanta.length,
+        sections,
+        openQuestions: unansweredQuestions.filter(uq => uq.status === 'Open').map(uq => ({ ...uq, about: factTitles[uq.sourceQuantumId] || 'General' }))
+    };
+}
+
+function factVersionLine(q) {
+    const updated = q.updatedAt !== q.createdAt ? ` (revised ${q.updatedAt})` : '';
+    return `ID ${q.quantumId} · Version ${q.version} · Declared ${q.createdAt}${updated}`;
+}
+
+// Inline code that may itself contain backticks: the fence is one backtick longer than the longest run inside,
+// padded with spaces when the text starts or ends with a backtick.
+function markdownCode(text) {
+    const value = String(text);
+    const longestRun = Math.max(0, ...(value.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = value.startsWith('`') || value.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${value}${padding}${fence}`;
+}
+
+function renderGddMarkdown(model) {
+    const lines = [
+        `# ${model.projectName} — Game Design Document`,
+        '',
+        `_Generated in week ${model.week}. Design completeness ${model.designCompleteness.toFixed(1)}%, build progress ${model.buildProgress.toFixed(1)}%, ${model.factCount} active design facts._`,
+        ''
+    ];
+    model.sections.forEach(section => {
+        lines.push(`## ${section.type}`, '');
+        section.facts.forEach(fact => {
+            lines.push(`### ${fact.title}`, '', `- ${factVersionLine(fact.quantum)}`);
+            fact.attributes.forEach(([field, value]) => lines.push(`- **${titleCase(field)}:** ${value}`));
+            lines.push(`- **Source:** ${markdownCode(fact.quantum.declarationSource)}`);
+            if (fact.answered.length > 0) {
+                lines.push('', '**Answered questions**', '');
+                fact.answered.forEach(uq => lines.push(`- ${uq.text}`, `  - ${uq.answer || '_Answer not recorded._'}`));
+            }
+            if (fact.open.length > 0) {
+                lines.push('', '**Open questions**', '');
+                fact.open.forEach(uq => lines.push(`- ${uq.id}: ${uq.text}`));
+            }
+            if (fact.bugs.length > 0) {
+                lines.push('', '**Linked bug reports**', '');
+                fact.bugs.forEach(bug => lines.push(`- Week ${bug.week} [${bug.severity}, ${bug.status}]: ${bug.text}`));
+            }
+            lines.push('');
+        });
+    });
+    lines.push('## Outstanding Questions', '');
+    if (model.openQuestions.length === 0) lines.push('_None — every Inquisitor question has been answered._');
+    model.openQuestions.forEach(uq => lines.push(`- **${uq.id}** (${uq.about}): ${uq.text}`));
+    lines.push('');
+    return lines.join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderGddHtml(model) {
+    const list = (items, render) => `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>`;
+    const sections = model.sections.map(section => `
+<section>
+<h2>${escapeHtml(section.type)}</h2>
+${section.facts.map(fact => `<article>
+<h3>${escapeHtml(fact.title)}</h3>
+<p class="meta">${escapeHtml(factVersionLine(fact.quantum))}</p>
+${fact.attributes.length > 0 ? `<dl>${fact.attributes.map(([field, value]) => `<dt>${escapeHtml(titleCase(field))}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>` : ''}
+<p class="source">Source: <code>${escapeHtml(fact.quantum.declarationSource)}</code></p>
+${fact.answered.length > 0 ? `<h4>Answered questions</h4>${list(fact.answered, uq => `${escapeHtml(uq.text)}<br><em>${escapeHtml(uq.answer || 'Answer not recorded.')}</em>`)}` : ''}
+${fact.open.length > 0 ? `<h4>Open questions</h4>${list(fact.open, uq => `${escapeHtml(uq.id)}: ${escapeHtml(uq.text)}`)}` : ''}
+${fact.bugs.length > 0 ? `<h4>Linked bug reports</h4>${list(fact.bugs, bug => `Week ${bug.week} [${escapeHtml(bug.severity)}, ${escapeHtml(bug.status)}]: ${escapeHtml(bug.text)}`)}` : ''}
+</article>`).join('\n')}
+</section>`).join('\n');
+    const outstanding = model.openQuestions.length > 0
+        ? list(model.openQuestions, uq => `<strong>${escapeHtml(uq.id)}</strong> (${escapeHtml(uq.about)}): ${escapeHtml(uq.text)}`)
+        : '<p><em>None — every Inquisitor question has been answered.</em></p>';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(model.projectName)} — Game Design Document</title>
+<style>
+body { background: #1a1a1a; color: #ecf0f1; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; }
+h1 { color: #e67e22; }
+h2 { color: #3498db; border-bottom: 1px solid #34495e; padding-bottom: 4px; }
+article { background: #2c3e50; border-radius: 8px; padding: 10px 20px; margin-bottom: 15px; }
+.meta, .source { color: #bdc3c7; font-size: 0.9em; }
+dt { font-weight: bold; float: left; clear: left; width: 120px; }
+dd { margin-left: 130px; }
+code { color: #f1c40f; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(model.projectName)} — Game Design Document</h1>
+<p class="meta">Generated in week ${model.week}. Design completeness ${model.designCompleteness.toFixed(1)}%, build progress ${model.buildProgress.toFixed(1)}%, ${model.factCount} active design facts.</p>
+${sections}
+<section>
+<h2>Outstanding Questions</h2>
+${outstanding}
+</section>
+</body>
+</html>
+`;
+}
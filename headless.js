@@ -0,0 +1,145 @@
+// --- HEADLESS RUNNER ---
+// Runs the simulation engine under Node, without a browser or canvas:
+//
+//     node headless.js <scenario.json> [--seed N] [--weeks N] [--full] [--log [filter]] [--expect <summary.json>]
+//
+// A scenario looks like { "seed": 42, "maxWeeks": 150, "commands": ["/declare ...", "", "/answer {{openQuestion}} ..."] }.
+// One command is queued per week (an empty string is an idle week). Placeholders are filled in when the
+// command is queued: {{openQuestion}} is the oldest open Inquisitor question (not counting conflicts), {{lastQuantum}} the newest
+// active quantum. With "shipWhenGold": true the runner queues /ship once the commands have run out and the
+// game has gone Gold. Agents use the deterministic mock backend unless the scenario names another "provider",
+// so the same scenario and seed always produce the same final state and score. "agents" takes an agent
+// configuration (as exported from the Agents dialog) to run with edited or custom agents. --log adds the
+// event log (optionally filtered, e.g. --log errors) to the output. --expect compares the summary with one saved
+// from an earlier run (e.g. scenarios/chimera.expected.json) and exits with status 1 if any field differs.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Loaded in the same order as the <script> tags in index.html, sharing one global scope like the browser does.
+const ENGINE_FILES = ['providers.js', 'quanta.js', 'consistency.js', 'staff.js', 'bugs.js', 'finance.js', 'phases.js', 'market.js', 'events.js', 'agents.js', 'studio.js', 'engine.js', 'commands.js', 'persistence.js', 'gdd.js'];
+
+function loadEngine() {
+    ENGINE_FILES.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+}
+
+function currentState() {
+    return vm.runInThisContext('simulationState');
+}
+
+function parseArgs(argv) {
+    const options = { full: false, log: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--seed') options.seed = Number(argv[++i]);
+        else if (argv[i] === '--weeks') options.maxWeeks = Number(argv[++i]);
+        else if (argv[i] === '--full') options.full = true;
+        else if (argv[i] === '--expect') options.expect = argv[++i];
+        else if (argv[i] === '--log') options.log = argv[i + 1] && !argv[i + 1].startsWith('--') && !argv[i + 1].endsWith('.json') ? argv[++i] : 'all';
+        else options.scenarioPath = argv[i];
+    }
+    return options;
+}
+
+// Returns the command with its placeholders filled in, or '' if one of them has nothing to refer to yet.
+function resolvePlaceholders(command, state) {
+    const openQuestion = state.unansweredQuestions.find(uq => uq.status === 'Open' && uq.kind !== 'conflict');
+    const lastQuantum = state.quantumCore.filter(q => q.status === 'Active').slice(-1)[0];
+    const values = { openQuestion: openQuestion && openQuestion.id, lastQuantum: lastQuantum && lastQuantum.quantumId };
+    let unresolved = false;
+    const resolved = command.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (!values[name]) unresolved = true;
+        return values[name] || match;
+    });
+    return unresolved ? '' : resolved;
+}
+
+function summarize(state) {
+    const { gameState } = state;
+    const { launch } = state.market;
+    return {
+        seed: gameState.seed,
+        week: gameState.currentWeek,
+        released: gameState.gameReleased,
+        bankrupt: gameState.bankrupt,
+        phase: gameState.phase,
+        finalScore: Number(gameState.finalScore.toFixed(2)),
+        designCompleteness: Number(gameState.designCompleteness.toFixed(2)),
+        buildProgress: Number(gameState.buildProgress.toFixed(2)),
+        marketHype: Number(gameState.marketHype.toFixed(2)),
+        budget: gameState.budget,
+        bugs: gameState.bugs,
+        activeQuanta: state.quantumCore.filter(q => q.status === 'Active').length,
+        openQuestions: state.unansweredQuestions.filter(uq => uq.status === 'Open').length,
+        salesProjection: gameState.salesProjection,
+        launch: launch && {
+            reviewScore: Number(reviewScore().toFixed(2)),
+            unitsSold: launch.totalUnits,
+            revenue: launch.totalRevenue,
+            patches: launch.patches.length
+        },
+        stateHash: hashString(JSON.stringify(serializeState().state)).toString(16)
+    };
+}
+
+// Lists every summary field whose value differs from the expected one.
+function summaryDifferences(expected, actual) {
+    const fields = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return fields
+        .filter(field => JSON.stringify(expected[field]) !== JSON.stringify(actual[field]))
+        .map(field => `${field}: expected ${JSON.stringify(expected[field])}, got ${JSON.stringify(actual[field])}`);
+}
+
+async function runScenario(scenario, options) {
+    saveLlmSettings({ ...defaultLlmSettings(), provider: scenario.provider || 'mock' });
+    saveAgentConfig(scenario.agents ? normalizeAgentConfig(scenario.agents) : defaultAgentConfig());
+    vm.runInThisContext(`useLlmTranslator = ${Boolean(scenario.llmTranslator)};`);
+    resetSimulation(options.seed ?? scenario.seed ?? 1);
+
+    const maxWeeks = options.maxWeeks ?? scenario.maxWeeks ?? 200;
+    const commands = [...(scenario.commands || [])];
+    while (!isProjectOver() && currentState().gameState.currentWeek <= maxWeeks) {
+        if (commands.length > 0) {
+            const command = resolvePlaceholders(commands.shift(), currentState());
+            if (command) currentState().gameState.commandQueue.push(command);
+        } else if (scenario.shipWhenGold && currentState().gameState.phase === 'gold' && !currentState().gameState.gameReleased) {
+            currentState().gameState.commandQueue.push('/ship');
+        }
+        await runStudioWeek();
+    }
+    return currentState();
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.scenarioPath) {
+        console.error("Usage: node headless.js <scenario.json> [--seed N] [--weeks N] [--full] [--log [filter]] [--expect <summary.json>]");
+        process.exit(1);
+    }
+    const scenario = JSON.parse(fs.readFileSync(options.scenarioPath, 'utf8'));
+    loadEngine();
+    const state = await runScenario(scenario, options);
+    if (options.log && !isEventFilter(options.log)) {
+        console.error(`Unknown log filter "${options.log}". Use one of: ${[...Object.keys(EVENT_FILTERS), ...agentNames()].join(', ')}.`);
+        process.exit(1);
+    }
+    if (options.expect) {
+        const differences = summaryDifferences(JSON.parse(fs.readFileSync(options.expect, 'utf8')), summarize(state));
+        if (differences.length > 0) {
+            console.error(`${options.scenarioPath} no longer matches ${options.expect}:\n  ${differences.join('\n  ')}`);
+            process.exit(1);
+        }
+        console.log(`${options.scenarioPath} matches ${options.expect}.`);
+        return;
+    }
+    let output = options.full ? { summary: summarize(state), save: serializeState() } : summarize(state);
+    if (options.log) output = { ...(options.full ? output : { summary: output }), eventLog: eventLogExport(options.log).events };
+    console.log(JSON.stringify(output, null, 2));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,232 @@
+// --- MARKET: RIVALS, TRENDS & THE SALES PERIOD ---
+const RIVAL_STUDIOS = ['Redline Interactive', 'Hollow Oak Games', 'Ninefold', 'Arcwright Studios', 'Pale Moth', 'Brightforge', 'Kestrel & Co', 'Sundial Works'];
+const RIVAL_TITLE_WORDS = [
+    ['Shattered', 'Neon', 'Silent', 'Iron', 'Last', 'Hollow', 'Crimson', 'Broken'],
+    ['Crown', 'Protocol', 'Frontier', 'Requiem', 'Dominion', 'Echo', 'Harbor', 'Oath']
+];
+const RIVAL_GENRES = ['Action RPG', 'Shooter', 'Roguelike', 'Platformer', 'Survival Horror', 'Strategy', 'Puzzle', 'Racing', 'Simulation', 'Battle Royale', 'Metroidvania', 'Immersive Sim'];
+const RIVAL_SETTINGS = ['cyberpunk city', 'fantasy kingdom', 'post-apocalyptic wasteland', 'orbital space station', 'Victorian London', 'feudal Japan', 'underwater colony', 'haunted forest'];
+const TREND_MECHANICS = ['Stealth', 'Crafting', 'Parkour', 'Hacking', 'Base Building', 'Deckbuilding', 'Permadeath', 'Co-op', 'Multiplayer', 'Open World', 'Procedural Generation', 'Time Manipulation'];
+const REVIEW_OUTLETS = ['Pixel Gazette', 'CritHit', 'The Loading Screen', 'Respawn Weekly', 'GameSage', 'Frame Perfect'];
+
+const COMPETITOR_CHANCE = 0.1;
+const TREND_CHANCE = 0.06;
+// Matching a trend multiplies hype gains and sales by this much.
+const TREND_BONUS = 1.5;
+// Marketing that has had nothing new to post for this many weeks lets hype decay by HYPE_DECAY_RATE a week.
+const MARKETING_QUIET_WEEKS = 4;
+const HYPE_DECAY_RATE = 0.03;
+// A rival release knocks up to this much hype off an overlapping project, and eats into its sales for COMPETITION_WINDOW weeks.
+const COMPETITOR_HYPE_HIT = 20;
+const COMPETITION_WINDOW = 6;
+
+const POST_LAUNCH_WEEKS = 12;
+const LAUNCH_WEEK_UNITS = 60000;
+const WEEKLY_SALES_DECAY = 0.85;
+const POST_LAUNCH_HYPE_DECAY = 0.08;
+const PATCH_INTERVAL_WEEKS = 3;
+const PATCH_SALES_BOOST = 1.15;
+// Lifetime units that count as a full-marks commercial result.
+const SALES_SCORE_TARGET = 250000;
+
+function createMarket() {
+    return { competitors: [], trends: [], lastPostWeek: null, launch: null };
+}
+
+function pick(list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function keywords(text) {
+    return String(text).toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 3 && !['the', 'and', 'with'].includes(word));
+}
+
+function sharesKeyword(text, quantumType) {
+    const words = new Set(activeQuanta().filter(q => q.quantumType === quantumType).flatMap(q => keywords(q.data.name)));
+    return keywords(text).some(word => words.has(word));
+}
+
+// How directly a rival competes with the project: 0.6 for a shared genre, 0.4 for a shared setting.
+function competitorOverlap(competitor) {
+    return (sharesKeyword(competitor.genre, 'Genre') ? 0.6 : 0) + (sharesKeyword(competitor.setting, 'Setting') ? 0.4 : 0);
+}
+
+function activeTrend() {
+    const week = simulationState.gameState.currentWeek;
+    return simulationState.market.trends.find(trend => trend.startWeek <= week && week < trend.endWeek) || null;
+}
+
+function trendMultiplier() {
+    const trend = activeTrend();
+    const matches = trend && activeQuanta().some(q => q.quantumType === 'MechanicPillar' && keywords(q.data.name).some(word => keywords(trend.mechanic).includes(word)));
+    return matches ? TREND_BONUS : 1;
+}
+
+// Rivals lean towards the project's own genre and setting, so a crowded niche is a real risk.
+function announceCompetitor() {
+    const week = simulationState.gameState.currentWeek;
+    const genre = activeQuanta().find(q => q.quantumType === 'Genre');
+    const setting = activeQuanta().find(q => q.quantumType === 'Setting');
+    const competitor = {
+        id: generateId('rv'),
+        studio: pick(RIVAL_STUDIOS),
+        title: `${pick(RIVAL_TITLE_WORDS[0])} ${pick(RIVAL_TITLE_WORDS[1])}`,
+        genre: genre && random() < 0.5 ? genre.data.name : pick(RIVAL_GENRES),
+        setting: setting && random() < 0.4 ? setting.data.name : pick(RIVAL_SETTINGS),
+        strength: 40 + Math.floor(random() * 60),
+        announcedWeek: week,
+        releaseWeek: week + 8 + Math.floor(random() * 20),
+        released: false
+    };
+    simulationState.market.competitors.push(competitor);
+    return competitor;
+}
+
+/**
+ * Moves the market on by a week: rivals announce and release games, and mechanic trends come and go.
+ * @returns {string[]} Notes for the Marketing line; empty on an uneventful week.
+ */
+function marketTurn() {
+    const { gameState, market } = simulationState;
+    const week = gameState.currentWeek;
+    const notes = [];
+    market.competitors.filter(c => !c.released && c.releaseWeek <= week).forEach(competitor => {
+        competitor.released = true;
+        const overlap = competitorOverlap(competitor);
+        let note = `Rival release: ${competitor.title} by ${competitor.studio}.`;
+        if (overlap > 0 && !gameState.gameReleased) {
+            const hit = Math.min(gameState.marketHype, overlap * COMPETITOR_HYPE_HIT * competitor.strength / 100);
+            gameState.marketHype -= hit;
+            note += ` It overlaps with us: -${hit.toFixed(1)}% hype.`;
+        }
+        notes.push(note);
+    });
+    if (random() < COMPETITOR_CHANCE) {
+        const competitor = announceCompetitor();
+        notes.push(`${competitor.studio} announced ${competitor.title} (${competitor.genre}, ${competitor.setting}) for week ${competitor.releaseWeek}.`);
+    }
+    if (!activeTrend() && random() < TREND_CHANCE) {
+        const trend = { mechanic: pick(TREND_MECHANICS), startWeek: week, endWeek: week + 8 + Math.floor(random() * 9) };
+        market.trends.push(trend);
+        notes.push(`Trend alert: players want ${trend.mechanic} until week ${trend.endWeek}.` + (trendMultiplier() > 1 ? ' That is us!' : ''));
+    }
+    return notes;
+}
+
+// Pre-launch hype: posts about new features build it (faster on-trend), and a quiet spell lets it fade.
+function hypeTurn(posted) {
+    const { gameState, market } = simulationState;
+    const week = gameState.currentWeek;
+    if (posted || market.lastPostWeek === null) market.lastPostWeek = week;
+    const quietWeeks = week - market.lastPostWeek;
+    if (quietWeeks >= MARKETING_QUIET_WEEKS) {
+        gameState.marketHype *= 1 - HYPE_DECAY_RATE;
+        return `Nothing new to post for ${quietWeeks} weeks; hype is fading.`;
+    }
+    gameState.marketHype = Math.min(100, gameState.marketHype + activeQuanta().length / 2 * trendMultiplier());
+    return null;
+}
+
+function startLaunch() {
+    simulationState.market.launch = {
+        week: simulationState.gameState.currentWeek,
+        weeksRemaining: POST_LAUNCH_WEEKS,
+        finished: false,
+        weeklySales: [],
+        reviews: [],
+        patches: [],
+        fixedSincePatch: 0,
+        lastPatchWeek: simulationState.gameState.currentWeek,
+        totalUnits: 0,
+        totalRevenue: 0
+    };
+}
+
+function isLaunchFinished() {
+    const launch = simulationState.market.launch;
+    return Boolean(launch && launch.finished);
+}
+
+function reviewScore(launch = simulationState.market.launch) {
+    const reviews = launch.reviews;
+    return reviews.length > 0 ? reviews.reduce((total, review) => total + review.score, 0) / reviews.length : 0;
+}
+
+// Free programmers spend the sales period patching the most severe open bugs.
+function assignPatchWork() {
+    simulationState.team.members
+        .filter(member => member.role === 'programmer' && !isBusyFixing(member))
+        .forEach(programmer => {
+            const bug = nextBugForQa();
+            if (bug) assignBugFix(bug, programmer);
+        });
+}
+
+function rivalCompetition() {
+    const week = simulationState.gameState.currentWeek;
+    return simulationState.market.competitors
+        .filter(c => c.released && week - c.releaseWeek < COMPETITION_WINDOW)
+        .reduce((factor, c) => factor * (1 - competitorOverlap(c) * c.strength / 200), 1);
+}
+
+/**
+ * One week of the post-launch sales period: the team patches bugs, a critic reviews the game,
+ * and sales (driven by hype, reviews, design, rivals and trends) come in as revenue.
+ */
+function postLaunchTurn() {
+    const { gameState, market } = simulationState;
+    const launch = market.launch;
+    const week = gameState.currentWeek;
+    const activity = gameState.lastAgentActivity;
+
+    assignPatchWork();
+    launch.fixedSincePatch += qaTurn() + bugFixTurn();
+    let patch = null;
+    if (launch.fixedSincePatch > 0 && week - launch.lastPatchWeek >= PATCH_INTERVAL_WEEKS) {
+        patch = { week, version: `1.0.${launch.patches.length + 1}`, fixed: launch.fixedSincePatch };
+        launch.patches.push(patch);
+        launch.fixedSincePatch = 0;
+        launch.lastPatchWeek = week;
+        logEvent('release', `Patch ${patch.version} shipped, fixing ${patch.fixed} bug(s).`);
+    }
+
+    const score = Math.round(Math.max(0, Math.min(100, 0.55 * bugQualityScore() + 0.35 * gameState.designCompleteness + 10 + (random() * 16 - 8))));
+    const review = { week, outlet: pick(REVIEW_OUTLETS), score };
+    launch.reviews.push(review);
+
+    const demand = LAUNCH_WEEK_UNITS * Math.pow(0.1 + gameState.marketHype / 100, 1.2) * Math.pow(reviewScore() / 100, 1.5) * (0.5 + gameState.designCompleteness / 200);
+    const units = Math.round(demand * Math.pow(WEEKLY_SALES_DECAY, week - launch.week) * rivalCompetition() * trendMultiplier() * (patch ? PATCH_SALES_BOOST : 1));
+    const { pricePerUnit } = revenueModel();
+    const revenue = Math.round(units * pricePerUnit * PLATFORM_REVENUE_SHARE);
+    recordRevenue(revenue);
+    launch.weeklySales.push({ week, units, revenue });
+    launch.totalUnits += units;
+    launch.totalRevenue += revenue;
+    gameState.marketHype *= 1 - POST_LAUNCH_HYPE_DECAY;
+
+    launch.weeksRemaining--;
+    activity.producer = `Sales week ${week - launch.week + 1}: ${units.toLocaleString()} units, $${revenue.toLocaleString()}.` + (patch ? ` Patch ${patch.version} fixed ${patch.fixed} bug(s).` : '');
+    activity.marketing = `${review.outlet} scores it ${review.score}/100 (average ${reviewScore().toFixed(0)}).`;
+    if (launch.weeksRemaining <= 0) finishLaunch();
+}
+
+// Ends the sales period and scores the project on how the game actually did.
+function finishLaunch() {
+    const { gameState, market } = simulationState;
+    const launch = market.launch;
+    launch.finished = true;
+    const salesScore = Math.min(100, launch.totalUnits / SALES_SCORE_TARGET * 100);
+    gameState.finalScore = (gameState.designCompleteness * 0.25) + (reviewScore() * 0.25) + (bugQualityScore() * 0.2) + (salesScore * 0.3);
+    gameState.lastAgentActivity.producer = `Sales period over: ${launch.totalUnits.toLocaleString()} units sold. Final Score: ${gameState.finalScore.toFixed(1)}`;
+    logEvent('release', gameState.lastAgentActivity.producer, { data: { units: launch.totalUnits, revenue: launch.totalRevenue, reviewScore: reviewScore(), finalScore: gameState.finalScore } });
+}
+
+function marketSummary() {
+    const week = simulationState.gameState.currentWeek;
+    const trend = activeTrend();
+    const parts = [trend ? `Trend: ${trend.mechanic} until week ${trend.endWeek}${trendMultiplier() > 1 ? ' (on trend)' : ''}` : 'No trend'];
+    simulationState.market.competitors.filter(c => !c.released || week - c.releaseWeek < COMPETITION_WINDOW).forEach(c => {
+        parts.push(`${c.title} by ${c.studio} (${c.genre}, ${c.released ? 'out now' : `week ${c.releaseWeek}`}, ${Math.round(competitorOverlap(c) * 100)}% overlap)`);
+    });
+    return parts.join(' · ');
+}
@@ -0,0 +1,291 @@
+// --- PERSISTENCE: SAVE, LOAD & EXPORT ---
+const SAVE_FORMAT = 'socratic-quantum-forge-save';
+const SAVE_VERSION = 11;
+const SAVE_KEY_PREFIX = 'sqf-save:';
+const AUTOSAVE_SLOT = 'autosave';
+
+// Expected type of every persisted field of a project and of the studio; validateSaveState checks saves against these after migration.
+const SAVE_SCHEMA = {
+    gameState: {
+        currentWeek: 'number', projectName: 'string', budget: 'number', designCompleteness: 'number',
+        buildProgress: 'number', bugs: 'number', marketHype: 'number', weeklySpend: 'number',
+        marketingActive: 'boolean', gameReleased: 'boolean', finalScore: 'number', seed: 'number', rngState: 'number',
+        baseSpend: 'number', marketingSpend: 'number', disciplineProgress: 'object',
+        bankrupt: 'boolean', milestonesReached: 'array', phase: 'string',
+        commandQueue: 'array', lastAgentActivity: 'object'
+    },
+    quantumCore: 'array',
+    unansweredQuestions: 'array',
+    bugReports: 'array',
+    team: { members: 'array', crunch: 'boolean', qaBacklog: 'number' },
+    ledger: 'array',
+    market: { competitors: 'array', trends: 'array' },
+    eventLog: 'array'
+};
+const STUDIO_SCHEMA = {
+    budget: 'number', week: 'number', seed: 'number', projectCount: 'number', activeProjectId: 'string', bench: 'array', history: 'array'
+};
+
+// Each migration upgrades a save from the version it is keyed by to the next one.
+const SAVE_MIGRATIONS = {
+    // v1 -> v2: quanta gained amendment history and an updatedAt week.
+    1: save => {
+        save.state.quantumCore.forEach(q => {
+            q.history = q.history || [];
+            q.updatedAt = q.updatedAt || q.createdAt;
+        });
+        return save;
+    },
+    // v2 -> v3: random rolls became seeded. Older saves get a seed derived from their content.
+    2: save => {
+        const seed = hashString(JSON.stringify(save.state.quantumCore));
+        save.state.gameState.seed = seed;
+        save.state.gameState.rngState = seed;
+        return save;
+    },
+    // v3 -> v4: a real team replaced the flat weekly progress. Older saves get the starting team,
+    // split their spend into base and marketing, and spread build progress evenly across disciplines.
+    3: save => {
+        const gameState = save.state.gameState;
+        gameState.baseSpend = 5000;
+        gameState.marketingSpend = Math.max(0, gameState.weeklySpend - 5000);
+        gameState.disciplineProgress = { code: gameState.buildProgress, art: gameState.buildProgress, design: gameState.buildProgress };
+        save.state.bugReports.forEach(bug => { bug.status = bug.status || 'Open'; });
+        save.state.team = {
+            members: STARTING_TEAM.map((role, i) => ({ id: `st-legacy${i}`, name: STAFF_NAMES[i], role, morale: 75, hiredWeek: 1 })),
+            crunch: false,
+            qaBacklog: 0
+        };
+        return save;
+    },
+    // v4 -> v5: bugs gained severity and an owner. Old bugs cost 2 quality points each, i.e. Minor.
+    4: save => {
+        save.state.bugReports.forEach(bug => {
+            bug.severity = bug.severity || 'Minor';
+            bug.owner = bug.owner || null;
+            if (bug.status === 'Fixed' && bug.fixedWeek) bug.resolvedWeek = bug.fixedWeek;
+            delete bug.fixedWeek;
+        });
+        return save;
+    },
+    // v5 -> v6: finances gained a ledger, publisher milestones, bankruptcy and a capped marketing spend.
+    5: save => {
+        const gameState = save.state.gameState;
+        gameState.bankrupt = false;
+        gameState.milestonesReached = [];
+        gameState.salesProjection = null;
+        gameState.marketingSpend = Math.min(MARKETING_SPEND_CAP, gameState.marketingSpend);
+        save.state.ledger = [];
+        return save;
+    },
+    // v6 -> v7: development phases. Older saves start in the furthest phase their state already qualifies for.
+    6: save => {
+        const gameState = save.state.gameState;
+        gameState.phase = gameState.gameReleased ? 'gold' : derivePhase(save.state);
+        if (PHASES.findIndex(phase => phase.id === gameState.phase) >= PHASES.findIndex(phase => phase.activatesMarketing)) {
+            gameState.marketingActive = true;
+        }
+        return save;
+    },
+    // v7 -> v8: a market with rivals and trends, and a sales period after release. Games released under the
+    // old rules had no sales period, so theirs is recorded as already over, with the projected sales.
+    7: save => {
+        const { gameState } = save.state;
+        save.state.ledger.forEach(entry => { entry.revenue = entry.revenue || 0; });
+        save.state.market = { competitors: [], trends: [], lastPostWeek: null, launch: null };
+        if (gameState.gameReleased) {
+            const sales = gameState.salesProjection || { units: 0, revenue: 0 };
+            save.state.market.launch = {
+                week: gameState.currentWeek, weeksRemaining: 0, finished: true, weeklySales: [], reviews: [], patches: [],
+                fixedSincePatch: 0, lastPatchWeek: gameState.currentWeek, totalUnits: sales.units, totalRevenue: sales.revenue
+            };
+        }
+        return save;
+    },
+    // v8 -> v9: an event log. Nothing before the upgrade was recorded, so older saves start with an empty one.
+    8: save => {
+        save.state.eventLog = [];
+        return save;
+    },
+    // v9 -> v10: a studio above the project. The saved project becomes the studio's only one and its budget the
+    // studio's bank; if its sales period is over it goes into the studio history and its staff onto the bench.
+    9: save => {
+        const project = { id: 'pr-1', ...save.state };
+        const { gameState, market } = project;
+        const shipped = Boolean(market.launch && market.launch.finished);
+        const studio = {
+            budget: gameState.budget, week: gameState.currentWeek, seed: gameState.seed, projectCount: 1, activeProjectId: project.id,
+            bench: shipped ? project.team.members.splice(0) : [],
+            history: shipped ? [{
+                projectId: project.id, name: gameState.projectName, finalScore: gameState.finalScore,
+                reviewScore: reviewScore(market.launch), unitsSold: market.launch.totalUnits, revenue: market.launch.totalRevenue, week: gameState.currentWeek
+            }] : []
+        };
+        save.state = { studio, projects: [project] };
+        return save;
+    },
+    // v10 -> v11: prompt events keep a hash of the system prompt instead of its full text, which was filling up localStorage.
+    10: save => {
+        save.state.projects.forEach(project => project.eventLog.forEach(event => {
+            if (event.type !== 'prompt' || !event.data || typeof event.data.systemPrompt !== 'string') return;
+            event.data = { systemPromptHash: hashString(event.data.systemPrompt).toString(16) };
+        }));
+        return save;
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    return value === null ? 'null' : typeof value;
+}
+
+function serializeProject(project) {
+    return {
+        id: project.id,
+        gameState: project.gameState,
+        quantumCore: project.quantumCore,
+        unansweredQuestions: project.unansweredQuestions,
+        bugReports: project.bugReports,
+        team: project.team,
+        ledger: project.ledger,
+        market: project.market,
+        eventLog: project.eventLog
+    };
+}
+
+function serializeState() {
+    const { projects, ...studio } = studioState;
+    return {
+        format: SAVE_FORMAT,
+        saveVersion: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        state: JSON.parse(JSON.stringify({ studio, projects: projects.map(serializeProject) }))
+    };
+}
+
+/**
+ * Brings any supported save up to SAVE_VERSION. A bare simulationState dump
+ * (the pre-versioning format) is treated as version 1.
+ * @param {Object} raw - Parsed save file contents.
+ * @returns {Object} The migrated save envelope.
+ */
+function migrateSave(raw) {
+    let save = raw;
+    if (save && !save.format && save.gameState) {
+        const { gameState, quantumCore, unansweredQuestions, bugReports } = save;
+        save = { format: SAVE_FORMAT, saveVersion: 1, state: { gameState, quantumCore, unansweredQuestions, bugReports } };
+    }
+    if (!save || save.format !== SAVE_FORMAT || typeOf(save.state) !== 'object') {
+        throw new Error("Not a Studio Simulator save file.");
+    }
+    if (typeof save.saveVersion !== 'number' || save.saveVersion < 1) {
+        throw new Error("Save file has no valid saveVersion.");
+    }
+    if (save.saveVersion > SAVE_VERSION) {
+        throw new Error(`Save version ${save.saveVersion} is newer than this simulator supports (${SAVE_VERSION}).`);
+    }
+    save = JSON.parse(JSON.stringify(save));
+    while (save.saveVersion < SAVE_VERSION) {
+        // Migrations trust the shape of the version they upgrade; a truncated or hand-edited file breaks them.
+        try {
+            save = SAVE_MIGRATIONS[save.saveVersion](save);
+        } catch (error) {
+            throw new Error(`Save file is damaged (version ${save.saveVersion}) and could not be upgraded.`);
+        }
+        save.saveVersion++;
+    }
+    return save;
+}
+
+function validateSaveState(state) {
+    if (typeOf(state.studio) !== 'object' || typeOf(state.projects) !== 'array' || state.projects.length === 0) return ['a save needs a studio and at least one project'];
+    const errors = [];
+    Object.entries(STUDIO_SCHEMA).forEach(([field, fieldType]) => {
+        if (typeOf(state.studio[field]) !== fieldType) errors.push(`studio.${field} must be ${fieldType}`);
+    });
+    state.projects.forEach((project, i) => {
+        if (typeOf(project) !== 'object' || typeof project.id !== 'string') errors.push(`projects[${i}] needs an id`);
+        else validateProjectState(project).forEach(error => errors.push(`projects[${i}].${error}`));
+    });
+    if (errors.length === 0 && !state.projects.some(project => project.id === state.studio.activeProjectId)) {
+        errors.push(`studio.activeProjectId "${state.studio.activeProjectId}" is not one of the projects`);
+    }
+    return errors;
+}
+
+function validateProjectState(state) {
+    const errors = [];
+    Object.entries(SAVE_SCHEMA).forEach(([key, expected]) => {
+        if (typeof expected === 'string') {
+            if (typeOf(state[key]) !== expected) errors.push(`${key} must be ${expected}`);
+            return;
+        }
+        if (typeOf(state[key]) !== 'object') {
+            errors.push(`${key} must be object`);
+            return;
+        }
+        Object.entries(expected).forEach(([field, fieldType]) => {
+            if (typeOf(state[key][field]) !== fieldType) errors.push(`${key}.${field} must be ${fieldType}`);
+        });
+    });
+    if (errors.length > 0) return errors;
+
+    if (!PHASES.some(phase => phase.id === state.gameState.phase)) errors.push(`gameState.phase "${state.gameState.phase}" is not a known phase`);
+    state.quantumCore.forEach((q, i) => {
+        if (typeof q.quantumId !== 'string' || typeof q.status !== 'string') errors.push(`quantumCore[${i}] is missing quantumId or status`);
+        validateQuantum(q).forEach(error => errors.push(`quantumCore[${i}]: ${error}`));
+    });
+    state.unansweredQuestions.forEach((uq, i) => {
+        if (typeof uq.id !== 'string' || typeof uq.text !== 'string' || typeof uq.status !== 'string') errors.push(`unansweredQuestions[${i}] needs id, text and status`);
+        if (isConflict(uq) && !Array.isArray(uq.quantumIds)) errors.push(`unansweredQuestions[${i}] is a conflict without quantumIds`);
+    });
+    state.team.members.forEach((member, i) => {
+        if (typeof member.id !== 'string' || !STAFF_ROLES[member.role] || typeof member.morale !== 'number') errors.push(`team.members[${i}] needs id, a known role and morale`);
+    });
+    state.bugReports.forEach((bug, i) => {
+        if (typeof bug.id !== 'string' || typeof bug.text !== 'string') errors.push(`bugReports[${i}] needs id and text`);
+        if (!BUG_SEVERITIES[bug.severity] || !BUG_STATUSES.includes(bug.status)) errors.push(`bugReports[${i}] has an unknown severity or status`);
+    });
+    return errors;
+}
+
+// Migrates and validates a save, then makes its studio the running simulation. Throws if the save is unusable.
+function restoreState(raw) {
+    const save = migrateSave(raw);
+    const errors = validateSaveState(save.state);
+    if (errors.length > 0) throw new Error(`Invalid save: ${errors.slice(0, 3).join('; ')}`);
+    studioState = { ...save.state.studio, projects: save.state.projects.map(project => ({ ...createInitialState(), ...project })) };
+    simulationState = activeProject();
+}
+
+function writeSlot(name, save) {
+    localStorage.setItem(SAVE_KEY_PREFIX + name, JSON.stringify(save));
+}
+
+function readSlot(name) {
+    const raw = localStorage.getItem(SAVE_KEY_PREFIX + name);
+    return raw ? JSON.parse(raw) : null;
+}
+
+function listSlots() {
+    const slots = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(SAVE_KEY_PREFIX)) slots.push(key.slice(SAVE_KEY_PREFIX.length));
+    }
+    return slots.sort();
+}
+
+// Returns null, or why the browser refused the autosave (usually because localStorage is full).
+function autosave() {
+    try {
+        writeSlot(AUTOSAVE_SLOT, serializeState());
+        return null;
+    } catch (error) {
+        return `Autosave failed: ${error.message}. Free space with /deletesave, or keep a copy with /export save.`;
+    }
+}
+
+function fileSlug(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
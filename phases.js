@@ -0,0 +1,108 @@
+// --- DEVELOPMENT PHASES & MILESTONE GATES ---
+// Quantum types that must all be declared before the project can enter Alpha.
+const ALPHA_REQUIRED_TYPES = ['Genre', 'Setting', 'MechanicPillar', 'GameplayLoop', 'Character', 'ArtStyle', 'Platform'];
+const BETA_OPEN_QUESTION_LIMIT = 3;
+
+// Gate requirements take a state shaped like simulationState (so saves can be checked too)
+// and return a checklist line: { label, met }.
+function requireTypes(types) {
+    return state => {
+        const declared = new Set(state.quantumCore.filter(q => q.status === 'Active').map(q => q.quantumType));
+        const missing = types.filter(type => !declared.has(type));
+        return { label: missing.length > 0 ? `Declare ${missing.join(', ')}` : `Declared ${types.join(', ')}`, met: missing.length === 0 };
+    };
+}
+
+function requireMetric(key, label, minimum) {
+    return state => {
+        const value = state.gameState[key];
+        return { label: `${label} ≥ ${minimum}% (now ${value.toFixed(0)}%)`, met: value >= minimum };
+    };
+}
+
+function requireOpenQuestionLimit(limit) {
+    return state => {
+        const open = state.unansweredQuestions.filter(q => q.status === 'Open').length;
+        return { label: `At most ${limit} open questions (now ${open})`, met: open <= limit };
+    };
+}
+
+function requireNoCriticalBugs() {
+    return state => {
+        const critical = state.bugReports.filter(bug => isUnresolved(bug) && bug.severity === 'Critical').length;
+        return { label: `No unresolved Critical bugs (now ${critical})`, met: critical === 0 };
+    };
+}
+
+// In order. A phase's requirements gate entry into it; buildCap is as far as the team can build while in it.
+const PHASES = [
+    { id: 'concept', label: 'Concept', buildCap: 10, requirements: [] },
+    { id: 'pre-production', label: 'Pre-production', buildCap: 30, requirements: [requireTypes(['Genre', 'Setting'])] },
+    {
+        id: 'production', label: 'Production', buildCap: 75, activatesMarketing: true,
+        requirements: [requireTypes(['MechanicPillar', 'GameplayLoop']), requireMetric('designCompleteness', 'Design Completeness', 40)]
+    },
+    { id: 'alpha', label: 'Alpha', buildCap: 95, requirements: [requireTypes(ALPHA_REQUIRED_TYPES), requireMetric('buildProgress', 'Build Progress', 75)] },
+    { id: 'beta', label: 'Beta', buildCap: 100, requirements: [requireOpenQuestionLimit(BETA_OPEN_QUESTION_LIMIT), requireMetric('buildProgress', 'Build Progress', 95)] },
+    { id: 'gold', label: 'Gold', buildCap: 100, requirements: [requireMetric('buildProgress', 'Build Progress', 100), requireNoCriticalBugs()] }
+];
+
+function currentPhase() {
+    return PHASES.find(phase => phase.id === simulationState.gameState.phase);
+}
+
+function nextPhase() {
+    return PHASES[PHASES.indexOf(currentPhase()) + 1] || null;
+}
+
+function phaseChecklist(phase, state = simulationState) {
+    return phase.requirements.map(requirement => requirement(state));
+}
+
+function canEnterPhase(phase, state = simulationState) {
+    return phaseChecklist(phase, state).every(item => item.met);
+}
+
+function phaseBuildCap() {
+    return currentPhase().buildCap;
+}
+
+// Moves the project into the next phase if its gate is open; returns the phase entered, or null.
+function phaseTurn() {
+    const phase = nextPhase();
+    if (!phase || !canEnterPhase(phase)) return null;
+    simulationState.gameState.phase = phase.id;
+    if (phase.activatesMarketing) simulationState.gameState.marketingActive = true;
+    return phase;
+}
+
+// The furthest phase whose gates (and every earlier gate) a state already passes.
+function derivePhase(state) {
+    let reached = PHASES[0];
+    for (const phase of PHASES.slice(1)) {
+        if (!canEnterPhase(phase, state)) break;
+        reached = phase;
+    }
+    return reached.id;
+}
+
+// Releases the game, but only once it has gone Gold; otherwise reports what is still missing.
+function shipGame() {
+    const gameState = simulationState.gameState;
+    if (gameState.gameReleased) {
+        gameState.lastAgentActivity.producer = "The game is already out.";
+        return false;
+    }
+    if (gameState.phase === 'gold') {
+        releaseGame();
+        return true;
+    }
+    const phase = nextPhase();
+    if (phase.id === 'gold') {
+        const missing = phaseChecklist(phase).filter(item => !item.met).map(item => item.label);
+        gameState.lastAgentActivity.producer = `Not ready to ship. Gold needs: ${missing.join('; ')}.`;
+    } else {
+        gameState.lastAgentActivity.producer = `Can't ship during ${currentPhase().label}; the game has to reach Gold first.`;
+    }
+    return false;
+}
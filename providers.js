@@ -0,0 +1,277 @@
+// --- LLM PROVIDERS ---
+const LLM_SETTINGS_KEY = 'sqf-llm-settings';
+const AGENT_NAMES = ['translator', 'inquisitor', 'producer', 'marketing'];
+
+function defaultLlmSettings() {
+    return {
+        provider: 'openai',
+        endpoints: {
+            openai: "http://localhost:1234/v1/chat/completions",
+            ollama: "http://localhost:11434/api/chat"
+        },
+        model: "local-model",
+        temperature: 0.7,
+        timeoutMs: 30000,
+        retries: 2,
+        backoffMs: 500,
+        maxConcurrent: 2,
+        maxRequestsPerWeek: 12,
+        fallbackToMock: true,
+        // Per-agent { provider, model, temperature }; anything left unset inherits the global value.
+        agentOverrides: {}
+    };
+}
+
+let llmSettings = loadLlmSettings();
+let activeAgentRequests = 0;
+let agentRequestsThisWeek = 0;
+const pendingAgentRequests = [];
+
+function loadLlmSettings() {
+    const settings = defaultLlmSettings();
+    if (typeof localStorage === 'undefined') return settings;
+    try {
+        const stored = JSON.parse(localStorage.getItem(LLM_SETTINGS_KEY) || 'null');
+        if (stored) Object.assign(settings, stored, { endpoints: { ...settings.endpoints, ...stored.endpoints } });
+    } catch (error) {
+        console.error("Ignoring unreadable LLM settings.", error);
+    }
+    return settings;
+}
+
+function saveLlmSettings(settings) {
+    llmSettings = settings;
+    if (typeof localStorage === 'undefined') return;
+    try {
+        localStorage.setItem(LLM_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Could not persist LLM settings.", error);
+    }
+}
+
+function resolveAgentConfig(agent) {
+    const override = llmSettings.agentOverrides[agent] || {};
+    const config = { ...llmSettings };
+    ['provider', 'model', 'temperature'].forEach(field => {
+        if (override[field] !== undefined && override[field] !== '') config[field] = override[field];
+    });
+    config.endpoint = llmSettings.endpoints[config.provider];
+    return config;
+}
+
+// Cheap deterministic string hash (FNV-1a) so the mock backend answers the same prompt the same way every time.
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+const MOCK_TEMPLATES = {
+    inquisitor: [
+        "What does {name} change about moment-to-moment play?",
+        "How does the player first encounter {name}?",
+        "What are the limits or costs of {name}?",
+        "Why does {name} matter to the story?",
+        "How does {name} evolve over the campaign?",
+        "What makes {name} distinct from genre staples?"
+    ],
+    marketing: [
+        "{name} is coming and it changes everything. Are you ready? {tag}",
+        "First look: {name}. The future just got a lot stranger. {tag}",
+        "We can finally talk about {name}. Wishlist now! {tag}",
+        "Every legend needs {name}. Stay tuned. {tag}"
+    ],
+    producer: [
+        "Bug #{num}: Nobody answered \"{name}\", so the code currently does all of it at once.",
+        "Bug #{num}: Build crashes whenever anyone asks \"{name}\"",
+        "Bug #{num}: Placeholder logic written around \"{name}\" shipped to QA and achieved sentience.",
+        "Bug #{num}: Behaviour changes on Tuesdays. Root cause: \"{name}\" is still open."
+    ]
+};
+
+// Mock replies for custom agents, chosen by the action the agent writes back through (see AGENT_ACTIONS).
+const MOCK_ACTION_TEMPLATES = {
+    'add-question': [
+        "Who is {name} really for, and how do we know?",
+        "What should players feel the first time they meet {name}?",
+        "What happens to {name} if the player ignores it?"
+    ],
+    'add-bug': [
+        "Bug #{num}: {name} clips through the floor after a quick load.",
+        "Bug #{num}: Pausing during {name} softlocks the controller.",
+        "Bug #{num}: {name} reads the wrong localisation table on every third boot."
+    ],
+    'adjust-hype': [
+        "+3 Players keep sharing clips of {name}.",
+        "+1 Quiet but steady buzz around {name}.",
+        "-2 The forums are asking where the news went.",
+        "+2 A streamer stumbled onto {name} and loved it."
+    ],
+    'propose-quantum': [
+        "There is a hidden district called The Glass Market.",
+        "A smuggler guild called The Lantern Court trades in stolen memories.",
+        "The player can rewind a single enemy's last move."
+    ]
+};
+
+// Deterministic offline stand-in for every agent, built from templates and the rule-based extractor.
+function mockComplete(agent, userPrompt) {
+    if (agent === 'translator') return JSON.stringify(extractQuanta(userPrompt));
+    const templates = MOCK_TEMPLATES[agent] || MOCK_ACTION_TEMPLATES[customAgentAction(agent)];
+    if (!templates) return "Acknowledged.";
+    const hash = hashString(userPrompt);
+    const name = (userPrompt.match(/'([^']+)'|"([^"]+)"|\] (.+)$/) || []).slice(1).find(Boolean) || 'this feature';
+    return templates[hash % templates.length]
+        .replace('{name}', name)
+        .replace('{num}', String(100 + (hash % 900)))
+        .replace('{tag}', projectHashtag());
+}
+
+// Each provider turns one chat request into text or throws; the error's `retryable` flag drives the retry loop.
+const LLM_PROVIDERS = {
+    openai: {
+        label: "OpenAI-compatible (LM Studio, llama.cpp, vLLM...)",
+        async complete(config, systemPrompt, userPrompt, signal) {
+            const data = await postJson(config.endpoint, {
+                model: config.model,
+                messages: [
+                    { role: "system", content: systemPrompt },
+                    { role: "user", content: userPrompt }
+                ],
+                temperature: config.temperature,
+                stream: false,
+            }, signal);
+            if (!data.choices || !data.choices[0]?.message?.content) throw new Error("Agent returned an invalid response format.");
+            return data.choices[0].message.content.trim();
+        }
+    },
+    ollama: {
+        label: "Ollama (native API)",
+        async complete(config, systemPrompt, userPrompt, signal) {
+            const data = await postJson(config.endpoint, {
+                model: config.model,
+                messages: [
+                    { role: "system", content: systemPrompt },
+                    { role: "user", content: userPrompt }
+                ],
+                options: { temperature: config.temperature },
+                stream: false,
+            }, signal);
+            if (!data.message?.content) throw new Error("Agent returned an invalid response format.");
+            return data.message.content.trim();
+        }
+    },
+    mock: {
+        label: "Built-in mock (offline, deterministic)",
+        async complete(config, systemPrompt, userPrompt, signal, agent) {
+            return mockComplete(agent, userPrompt);
+        }
+    }
+};
+
+async function postJson(endpoint, payload, signal) {
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal
+        });
+    } catch (error) {
+        error.retryable = true;
+        throw error;
+    }
+    if (!response.ok) {
+        const error = new Error(`status: ${response.status}`);
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+    }
+    return response.json();
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withConcurrencyLimit(task) {
+    if (activeAgentRequests >= llmSettings.maxConcurrent) {
+        await new Promise(resolve => pendingAgentRequests.push(resolve));
+    }
+    activeAgentRequests++;
+    try {
+        return await task();
+    } finally {
+        activeAgentRequests--;
+        const next = pendingAgentRequests.shift();
+        if (next) next();
+    }
+}
+
+// Called at the start of every week to refill the request budget.
+function resetAgentRequestBudget() {
+    agentRequestsThisWeek = 0;
+}
+
+/**
+ * Asks the configured model provider for a completion on behalf of an agent.
+ * Requests time out, are retried with exponential backoff and share a concurrency
+ * and weekly request limit. When every attempt fails the mock backend answers
+ * (if fallbackToMock is on); otherwise a string starting with "Fallback:" is returned.
+ * The prompt, the reply and any failure are recorded in the event log.
+ * @param {string} systemPrompt - The instruction/personality for the agent.
+ * @param {string} userPrompt - The data for the agent to process.
+ * @param {string} [agent] - Which agent is asking; selects per-agent overrides.
+ * @returns {Promise<string>} The AI-generated text response.
+ */
+async function queryAgent(systemPrompt, userPrompt, agent = 'default') {
+    // The system prompt is the same week after week and the log is saved with the game, so only its hash is kept.
+    logEvent('prompt', userPrompt, { agent, data: { systemPromptHash: hashString(systemPrompt).toString(16) } });
+    const { text, source, error } = await requestCompletion(systemPrompt, userPrompt, agent);
+    if (error) logEvent('error', error, { agent });
+    logEvent(text.startsWith("Fallback:") ? 'error' : 'response', text, { agent, data: { source } });
+    return text;
+}
+
+// The request behind queryAgent. Returns the reply text, which backend produced it and, when the
+// configured provider failed and the mock stood in, what went wrong.
+async function requestCompletion(systemPrompt, userPrompt, agent) {
+    const config = resolveAgentConfig(agent);
+    const provider = LLM_PROVIDERS[config.provider] || LLM_PROVIDERS.mock;
+    if (provider === LLM_PROVIDERS.mock) return { text: mockComplete(agent, userPrompt), source: 'mock' };
+
+    if (agentRequestsThisWeek >= config.maxRequestsPerWeek) {
+        const error = "The weekly agent request budget is used up.";
+        return config.fallbackToMock ? { text: mockComplete(agent, userPrompt), source: 'mock', error } : { text: `Fallback: ${error}`, source: 'none' };
+    }
+    agentRequestsThisWeek++;
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= config.retries; attempt++) {
+        if (attempt > 0) await sleep(config.backoffMs * 2 ** (attempt - 1));
+        let timedOut = false;
+        try {
+            // The timeout starts once the request has a slot, so time spent waiting behind maxConcurrent doesn't count.
+            const text = await withConcurrencyLimit(async () => {
+                const controller = new AbortController();
+                const timer = setTimeout(() => { timedOut = true; controller.abort(); }, config.timeoutMs);
+                try {
+                    return await provider.complete(config, systemPrompt, userPrompt, controller.signal, agent);
+                } finally {
+                    clearTimeout(timer);
+                }
+            });
+            return { text, source: config.provider };
+        } catch (error) {
+            lastError = timedOut ? Object.assign(new Error(`timed out after ${config.timeoutMs}ms`), { retryable: true }) : error;
+            if (!lastError.retryable) break;
+        }
+    }
+    console.error(`Agent "${agent}" request to ${config.provider} failed.`, lastError);
+    const error = `Request to ${config.provider} failed: ${lastError.message}`;
+    if (config.fallbackToMock) return { text: mockComplete(agent, userPrompt), source: 'mock', error };
+    return { text: `Fallback: The ${agent} agent could not reach ${config.endpoint} (${lastError.message}).`, source: 'none' };
+}
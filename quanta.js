@@ -0,0 +1,346 @@
+// --- QUANTUM TAXONOMY & EXTRACTION ---
+// Every kind of design fact the Translator may emit, and the data fields each one carries.
+const QUANTUM_TYPES = {
+    Genre: { required: ['name'], optional: ['perspective'] },
+    Setting: { required: ['name'], optional: ['description'] },
+    Theme: { required: ['name'], optional: [] },
+    MechanicPillar: { required: ['name'], optional: ['description'] },
+    GameplayLoop: { required: ['description'], optional: ['name'] },
+    Character: { required: ['name'], optional: ['role', 'description', 'location'] },
+    Faction: { required: ['name'], optional: ['description', 'location'] },
+    Ability: { required: ['name'], optional: ['owner', 'description'] },
+    Item: { required: ['name'], optional: ['kind', 'description'] },
+    Location: { required: ['name'], optional: ['kind', 'description'] },
+    ArtStyle: { required: ['name'], optional: ['description'] },
+    Platform: { required: ['name'], optional: [] },
+    Monetization: { required: ['name'], optional: ['description'] },
+};
+
+const ACRONYMS = { rpg: 'RPG', jrpg: 'JRPG', mmo: 'MMO', mmorpg: 'MMORPG', fps: 'FPS', ai: 'AI', pc: 'PC', vr: 'VR', dlc: 'DLC', npc: 'NPC', ios: 'iOS', ps5: 'PS5' };
+const NAME_STOPWORDS = ['it', 'this', 'that', 'these', 'those', 'the', 'there', 'he', 'she', 'they', 'we', 'you', 'i', 'our', 'its', 'their', 'a', 'an', 'players', 'player', 'project'];
+// A proper name: a quoted string, or a run of capitalised words ("Unit 734", "House of Thorns").
+const NAME_PATTERN = `("[^"]+"|'[^']+'|[A-Z0-9][\\w'-]*(?:\\s+(?:of\\s+|the\\s+)?[A-Z0-9][\\w'-]*)*)`;
+// Words that never describe the thing being named: articles, pronouns, prepositions, linking words and the verbs
+// declarations use, so "carries a sword called Dawnbreaker" describes nothing rather than a "carries a" sword.
+const DESCRIPTOR_STOPWORDS = [
+    'a', 'an', 'the', 'named', 'called', 'known', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'will', 'can', 'has', 'have', 'had',
+    'of', 'in', 'on', 'at', 'to', 'from', 'with', 'by', 'for', 'into', 'that', 'which', 'who', 'whose',
+    'he', 'she', 'they', 'it', 'we', 'you', 'i', 'his', 'her', 'their', 'its', 'our', 'my', 'your', 'this', 'these', 'those', 'players', 'player',
+    'carries', 'carry', 'wields', 'wield', 'uses', 'use', 'holds', 'hold', 'owns', 'own', 'finds', 'find', 'visits', 'visit', 'explores', 'explore',
+    'enters', 'enter', 'fights', 'fight', 'meets', 'meet', 'defeats', 'defeat', 'leads', 'lead', 'rules', 'rule', 'guards', 'guard', 'becomes', 'become'
+];
+// Up to four adjective, noun or acronym words directly before the kind noun, e.g. "rogue AI " in "a rogue AI named Vesper".
+const DESCRIPTOR_PATTERN = `((?:(?!(?:${kindAlternation(DESCRIPTOR_STOPWORDS)})\\b)[\\w-]+\\s+){0,4}?)`;
+
+function titleCase(text) {
+    return text.trim().split(/\s+/).map(word => ACRONYMS[word.toLowerCase()] || word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function cleanName(raw) {
+    const name = raw.trim().replace(/^["']|["']$/g, '').replace(/^the\s+/i, '').trim();
+    return NAME_STOPWORDS.includes(name.toLowerCase()) ? '' : name;
+}
+
+// Turns a list of lowercase nouns into a regex alternation that also matches them capitalised at the start of a sentence.
+function kindAlternation(kinds) {
+    return kinds.map(kind => kind.replace(/^[a-z]/, c => `[${c}${c.toUpperCase()}]`)).join('|');
+}
+
+function stripCommand(input) {
+    return input.replace(/^\/declare\s*/i, '').replace(/^\/answer\s+uq-[a-z0-9]+\s*/i, '').replace(/^\/amend\s+q-[a-z0-9]+\s*/i, '').trim();
+}
+
+function splitSentences(text) {
+    return text.split(/[.!?;]+(?:\s+|$)/).map(s => s.trim()).filter(s => s.length > 0);
+}
+
+// Matches fixed vocabulary (longest terms first) and masks each hit so "rpg" doesn't fire again inside "action rpg".
+function keywordRule(id, quantumType, terms) {
+    const ordered = Object.keys(terms).sort((a, b) => b.length - a.length);
+    return {
+        id,
+        quantumType,
+        extract(sentence) {
+            let text = sentence.toLowerCase();
+            const results = [];
+            for (const term of ordered) {
+                const pattern = new RegExp(`(^|[^\\w-])${term.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}(?![\\w-])`);
+                const match = text.match(pattern);
+                if (!match) continue;
+                results.push({ name: terms[term] });
+                const start = match.index + match[1].length;
+                text = text.slice(0, start) + ' '.repeat(term.length) + text.slice(start + term.length);
+            }
+            return results;
+        }
+    };
+}
+
+// Matches "<descriptor> <kind> named <Name>", "<Name> is a <descriptor> <kind>" and "<Name>, a <descriptor> <kind>".
+function namedEntityRule(id, quantumType, kinds) {
+    const kindGroup = `(${kindAlternation(kinds)})`;
+    const namedAfter = new RegExp(`\\b${DESCRIPTOR_PATTERN}${kindGroup}s?,?\\s+(?:named|called|known as)\\s+(?:the\\s+)?${NAME_PATTERN}`, 'g');
+    const namedBefore = new RegExp(`${NAME_PATTERN}(?:\\s+(?:is|are|will be)|,)\\s+(?:an?|the|one of the)\\s+${DESCRIPTOR_PATTERN}${kindGroup}\\b`, 'g');
+    return {
+        id,
+        quantumType,
+        extract(sentence) {
+            const results = [];
+            for (const match of sentence.matchAll(namedAfter)) {
+                results.push(buildEntity(match[3], match[2], match[1]));
+            }
+            for (const match of sentence.matchAll(namedBefore)) {
+                results.push(buildEntity(match[1], match[3], match[2]));
+            }
+            return results.filter(data => data.name);
+        }
+    };
+
+    function buildEntity(rawName, kind, descriptor) {
+        const data = { name: cleanName(rawName) };
+        const fields = QUANTUM_TYPES[quantumType].optional;
+        const description = descriptor.replace(/^(?:an?|the)\s+/i, '').trim();
+        if (fields.includes('kind')) data.kind = kind.toLowerCase();
+        if (description && fields.includes('description')) data.description = description;
+        return data;
+    }
+}
+
+// Matches a phrase captured by any of the given patterns and files it under `field`.
+function phraseRule(id, quantumType, patterns, field = 'name', split = false) {
+    return {
+        id,
+        quantumType,
+        extract(sentence) {
+            const results = [];
+            for (const pattern of patterns) {
+                const match = sentence.match(pattern);
+                if (!match) continue;
+                const phrases = split ? match[1].split(/,\s*(?:and\s+)?|\s+and\s+/) : [match[1]];
+                phrases.map(p => p.replace(/^(?:an?|the)\s+/i, '').trim()).filter(p => p.length > 1).forEach(phrase => {
+                    results.push(field === 'name' ? { name: titleCase(phrase) } : { [field]: phrase });
+                });
+                break;
+            }
+            return results;
+        }
+    };
+}
+
+const CHARACTER_ROLES = ['protagonist', 'main character', 'player character', 'hero', 'heroine', 'villain', 'antagonist', 'big bad', 'companion', 'sidekick', 'mentor', 'rival', 'final boss', 'love interest'];
+
+const characterRoleRule = {
+    id: 'character-role',
+    quantumType: 'Character',
+    extract(sentence) {
+        const roleGroup = `(${kindAlternation(CHARACTER_ROLES)})`;
+        const described = new RegExp(`\\b${roleGroup}\\s+is\\s+(?:an?\\s+|the\\s+)?${DESCRIPTOR_PATTERN}(?:named|called|known as)\\s+${NAME_PATTERN}`);
+        const named = new RegExp(`\\b${roleGroup}(?:,|\\s+is|\\s+named|\\s+called)?\\s+(?:the\\s+)?${NAME_PATTERN}`);
+        const inverted = new RegExp(`${NAME_PATTERN}\\s+is\\s+(?:the|an?|our)\\s+(?:[\\w-]+\\s+)?${roleGroup}\\b`);
+        const anonymous = new RegExp(`\\b${roleGroup}\\s+is\\s+(?:an?|the)\\s+([^,]+)`);
+
+        let match = sentence.match(described);
+        if (match) return [characterData(match[3], match[1], match[2])];
+        match = sentence.match(named);
+        if (match && cleanName(match[2])) return [characterData(match[2], match[1])];
+        match = sentence.match(inverted);
+        if (match && cleanName(match[1])) return [characterData(match[1], match[2])];
+        match = sentence.match(anonymous);
+        if (match) return [{ name: titleCase(match[1].toLowerCase()), role: match[1].toLowerCase(), description: match[2].trim() }];
+        return [];
+    }
+};
+
+function characterData(rawName, role, description = '') {
+    const data = { name: cleanName(rawName), role: role.toLowerCase() };
+    if (description.trim()) data.description = description.trim();
+    return data;
+}
+
+// "<Name>'s ability is Ghostwire" / "the ability Ghostwire belongs to <Name>" link an Ability to its owner.
+const abilityOwnerRule = {
+    id: 'ability-owner',
+    quantumType: 'Ability',
+    extract(sentence) {
+        const possessive = new RegExp(`${NAME_PATTERN}'s\\s+(?:signature\\s+|special\\s+)?(?:ability|power|skill|spell)\\s+(?:is\\s+)?(?:called\\s+|named\\s+)?${NAME_PATTERN}`);
+        const match = sentence.match(possessive);
+        if (!match || !cleanName(match[1]) || !cleanName(match[2])) return [];
+        return [{ name: cleanName(match[2]), owner: cleanName(match[1]) }];
+    }
+};
+
+// Anything else "named X" that no typed rule claimed is most likely a character.
+const namedFallbackRule = {
+    id: 'named-fallback',
+    quantumType: 'Character',
+    fallback: true,
+    extract(sentence) {
+        const pattern = new RegExp(`\\b(?:an?|the)\\s+${DESCRIPTOR_PATTERN}(?:named|called)\\s+${NAME_PATTERN}`, 'g');
+        return [...sentence.matchAll(pattern)]
+            .map(match => ({ name: cleanName(match[2]), description: match[1].trim() }))
+            .filter(data => data.name)
+            .map(data => data.description ? data : { name: data.name });
+    }
+};
+
+const EXTRACTION_RULES = [
+    keywordRule('genre', 'Genre', {
+        'action rpg': 'Action RPG', 'action-rpg': 'Action RPG', 'jrpg': 'JRPG', 'mmorpg': 'MMORPG', 'rpg': 'RPG', 'role-playing game': 'RPG',
+        'first-person shooter': 'First-Person Shooter', 'third-person shooter': 'Third-Person Shooter', 'shooter': 'Shooter', 'fps': 'First-Person Shooter',
+        'roguelike': 'Roguelike', 'roguelite': 'Roguelite', 'metroidvania': 'Metroidvania', 'platformer': 'Platformer', 'survival horror': 'Survival Horror',
+        'horror': 'Horror', 'real-time strategy': 'Real-Time Strategy', 'turn-based strategy': 'Turn-Based Strategy', 'strategy': 'Strategy',
+        'puzzle': 'Puzzle', 'racing': 'Racing', 'fighting game': 'Fighting', 'simulation': 'Simulation', 'sandbox': 'Sandbox', 'survival': 'Survival',
+        'adventure': 'Adventure', 'visual novel': 'Visual Novel', 'battle royale': 'Battle Royale', 'city builder': 'City Builder',
+        'deckbuilder': 'Deckbuilder', 'rhythm game': 'Rhythm', 'sports game': 'Sports', 'immersive sim': 'Immersive Sim'
+    }),
+    phraseRule('setting', 'Setting', [
+        /\bset\s+in\s+(?:an?\s+|the\s+)?(.+?)(?=,|\s+where\b|\s+with\b|\s+during\b|$)/i,
+        /\btakes\s+place\s+in\s+(?:an?\s+|the\s+)?(.+?)(?=,|\s+where\b|\s+with\b|\s+during\b|$)/i,
+        /\bsetting\s+is\s+(?:an?\s+|the\s+)?(.+?)(?=,|$)/i
+    ]),
+    phraseRule('theme', 'Theme', [
+        /\bthemes?\s+(?:of|is|are|include|includes|:)\s+(.+?)(?=\s+while\b|$)/i,
+        /\bexplores\s+(?:themes\s+of\s+)?(.+?)(?=\s+while\b|$)/i
+    ], 'name', true),
+    phraseRule('mechanic-elements', 'MechanicPillar', [
+        /\bwith\s+(.+?)\s+(?:elements|mechanics|systems)\b/i
+    ], 'name', true),
+    phraseRule('mechanic-core', 'MechanicPillar', [
+        /\b(?:core\s+|main\s+)?mechanics?(?:\s*:|\s+(?:is|are|involves?|revolves?\s+around|centers?\s+on))\s+(.+?)(?=,?\s+(?:which|where|while|so|but|that)\b|$)/i
+    ], 'name', true),
+    keywordRule('mechanic-keywords', 'MechanicPillar', {
+        'stealth': 'Stealth', 'crafting': 'Crafting', 'parkour': 'Parkour', 'hacking': 'Hacking', 'base building': 'Base Building',
+        'deckbuilding': 'Deckbuilding', 'permadeath': 'Permadeath', 'co-op': 'Co-op', 'multiplayer': 'Multiplayer', 'open world': 'Open World',
+        'procedural generation': 'Procedural Generation', 'procedurally generated': 'Procedural Generation', 'time manipulation': 'Time Manipulation',
+        'dialogue choices': 'Dialogue Choices', 'turn-based combat': 'Turn-Based Combat', 'real-time combat': 'Real-Time Combat'
+    }),
+    phraseRule('gameplay-loop', 'GameplayLoop', [
+        /\b(?:gameplay|core|main)\s+loop\s+(?:is|will be|consists\s+of|:)\s*(.+)$/i
+    ], 'description'),
+    phraseRule('art-style', 'ArtStyle', [
+        /\bart\s+style\s+(?:is|will be|of|:)\s*(?:an?\s+|the\s+)?(.+?)(?=,|$)/i,
+        /\b(?:an?\s+|the\s+)?([\w\s-]{3,40}?)\s+art\s+style\b/i
+    ]),
+    characterRoleRule,
+    namedEntityRule('faction', 'Faction', ['faction', 'guild', 'clan', 'corporation', 'megacorp', 'company', 'order', 'cult', 'gang', 'syndicate', 'empire', 'rebellion', 'resistance', 'army', 'tribe', 'house', 'alliance']),
+    abilityOwnerRule,
+    namedEntityRule('ability', 'Ability', ['ability', 'power', 'skill', 'spell', 'technique', 'move', 'perk']),
+    phraseRule('ability-verb', 'Ability', [
+        /\b(?:the\s+player|players|you)\s+can\s+([a-z][\w\s,-]{2,80}?)(?=\s+to\b|\s+with\b|\s+using\b|$)/i
+    ], 'name', true),
+    namedEntityRule('item', 'Item', ['weapon', 'item', 'artifact', 'relic', 'sword', 'blade', 'gun', 'rifle', 'gadget', 'armor', 'amulet', 'tool', 'key', 'vehicle']),
+    namedEntityRule('location', 'Location', ['city', 'town', 'village', 'level', 'zone', 'district', 'region', 'dungeon', 'planet', 'island', 'hub', 'kingdom', 'station', 'fortress', 'location']),
+    namedEntityRule('character', 'Character', ['character', 'npc', 'merchant', 'boss']),
+    keywordRule('platform', 'Platform', {
+        'pc': 'PC', 'windows': 'PC', 'macos': 'macOS', 'mac': 'macOS', 'linux': 'Linux', 'steam deck': 'Steam Deck', 'steam': 'PC',
+        'playstation 5': 'PlayStation 5', 'ps5': 'PlayStation 5', 'playstation': 'PlayStation', 'xbox series x': 'Xbox Series X|S', 'xbox': 'Xbox',
+        'nintendo switch': 'Nintendo Switch', 'mobile': 'Mobile', 'ios': 'iOS', 'android': 'Android', 'vr': 'VR', 'virtual reality': 'VR', 'web browser': 'Web'
+    }),
+    keywordRule('monetization', 'Monetization', {
+        'free-to-play': 'Free-to-Play', 'free to play': 'Free-to-Play', 'f2p': 'Free-to-Play', 'premium': 'Premium', 'one-time purchase': 'Premium',
+        'subscription': 'Subscription', 'microtransactions': 'Microtransactions', 'in-app purchases': 'Microtransactions', 'battle pass': 'Battle Pass',
+        'season pass': 'Season Pass', 'dlc': 'DLC Expansions', 'expansions': 'DLC Expansions', 'ad-supported': 'Ad-Supported', 'early access': 'Early Access',
+        'gacha': 'Gacha', 'loot boxes': 'Loot Boxes'
+    }),
+    namedFallbackRule,
+];
+
+/**
+ * Adds a custom extraction rule. Rules run in registration order (fallback rules last).
+ * @param {{id: string, quantumType: string, extract: function(string): Object[], fallback?: boolean}} rule
+ */
+function registerExtractionRule(rule) {
+    if (!QUANTUM_TYPES[rule.quantumType]) throw new Error(`Unknown quantum type: ${rule.quantumType}`);
+    const fallbackIndex = EXTRACTION_RULES.findIndex(r => r.fallback);
+    if (rule.fallback || fallbackIndex === -1) EXTRACTION_RULES.push(rule);
+    else EXTRACTION_RULES.splice(fallbackIndex, 0, rule);
+}
+
+/**
+ * Checks a candidate quantum against QUANTUM_TYPES.
+ * @param {*} candidate - Anything claiming to be `{ quantumType, data }`.
+ * @returns {string[]} A list of problems; empty when the candidate is valid.
+ */
+function validateQuantum(candidate) {
+    if (!candidate || typeof candidate !== 'object') return ['not an object'];
+    const schema = QUANTUM_TYPES[candidate.quantumType];
+    if (!schema) return [`unknown quantumType "${candidate.quantumType}"`];
+    const data = candidate.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['data must be an object'];
+    const errors = [];
+    schema.required.forEach(field => {
+        if (typeof data[field] !== 'string' || data[field].trim() === '') errors.push(`missing required field "${field}"`);
+    });
+    Object.keys(data).forEach(field => {
+        if (!schema.required.includes(field) && !schema.optional.includes(field)) errors.push(`unexpected field "${field}"`);
+        else if (typeof data[field] !== 'string') errors.push(`field "${field}" must be a string`);
+    });
+    return errors;
+}
+
+// Runs every extraction rule over each sentence of the input and returns validated, de-duplicated quanta.
+function extractQuanta(input) {
+    const found = [];
+    const seen = new Set();
+    const seenNames = new Set();
+    const rules = [...EXTRACTION_RULES.filter(r => !r.fallback), ...EXTRACTION_RULES.filter(r => r.fallback)];
+    for (const sentence of splitSentences(stripCommand(input))) {
+        for (const rule of rules) {
+            for (const data of rule.extract(sentence)) {
+                const quantum = { quantumType: rule.quantumType, data };
+                const label = (data.name || data.description || '').toLowerCase();
+                const key = `${rule.quantumType}:${label}`;
+                if (seen.has(key) || (rule.fallback && seenNames.has(label))) continue;
+                if (validateQuantum(quantum).length > 0) continue;
+                seen.add(key);
+                seenNames.add(label);
+                found.push(quantum);
+            }
+        }
+    }
+    return found;
+}
+
+function buildTranslatorPrompt() {
+    const fieldList = Object.entries(QUANTUM_TYPES)
+        .map(([type, schema]) => `${type}: required ${schema.required.join(', ')}${schema.optional.length ? `; optional ${schema.optional.join(', ')}` : ''}`)
+        .join('\n');
+    return `${agentPrompt('translator')}\nAllowed quantum types and their data fields (all values are strings):\n${fieldList}`;
+}
+
+// Pulls the first JSON array or object out of a model reply, tolerating code fences and chatter around it.
+function parseQuantaJson(text) {
+    const body = text.replace(/```(?:json)?/gi, '');
+    const start = body.search(/[[{]/);
+    if (start === -1) return null;
+    const end = Math.max(body.lastIndexOf(']'), body.lastIndexOf('}'));
+    try {
+        const parsed = JSON.parse(body.slice(start, end + 1));
+        if (Array.isArray(parsed)) return parsed;
+        if (Array.isArray(parsed.quanta)) return parsed.quanta;
+        return [parsed];
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Asks the Translator model for structured quanta.
+ * @param {string} input - The raw /declare or /answer command.
+ * @returns {Promise<Object[]|null>} Validated quanta, or null if the model was unreachable or returned nothing usable.
+ */
+async function llmExtractQuanta(input) {
+    const reply = await queryAgent(buildTranslatorPrompt(), stripCommand(input), 'translator');
+    if (reply.startsWith("Fallback:")) return null;
+    const candidates = parseQuantaJson(reply);
+    if (!candidates) {
+        logEvent('error', "Translator returned malformed JSON; using the rule-based extractor.", { agent: 'translator', data: { reply } });
+        return null;
+    }
+    const valid = candidates.filter(candidate => {
+        const errors = validateQuantum(candidate);
+        if (errors.length > 0) logEvent('error', `Translator quantum rejected: ${errors.join('; ')}.`, { agent: 'translator', data: { candidate } });
+        return errors.length === 0;
+    });
+    return valid.length > 0 ? valid.map(c => ({ quantumType: c.quantumType, data: c.data })) : null;
+}
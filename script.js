@@ -1,5 +1,6 @@
 // --- CORE SETUP ---
 // Get references to all necessary DOM elements
+const simulationContainer = document.getElementById('simulationContainer');
 const canvas = document.getElementById('simulationCanvas');
 const ctx = canvas.getContext('2d');
 const commandInput = document.getElementById('commandInput');
@@ -8,282 +9,334 @@ const submitCommandButton = document.getElementById('submitCommandButton');
 const toggleSimButton = document.getElementById('toggleSimButton');
 const speedControl = document.getElementById('speedControl');
 const speedValue = document.getElementById('speedValue');
+const llmTranslatorToggle = document.getElementById('llmTranslatorToggle');
+const newStudioButton = document.getElementById('newStudioButton');
+const exportSaveButton = document.getElementById('exportSaveButton');
+const importSaveButton = document.getElementById('importSaveButton');
+const importFileInput = document.getElementById('importFileInput');
+const exportGddButton = document.getElementById('exportGddButton');
+const exportGddFormat = document.getElementById('exportGddFormat');
+const settingsButton = document.getElementById('settingsButton');
+const settingsDialog = document.getElementById('settingsDialog');
+const settingsForm = document.getElementById('settingsForm');
+const agentOverridesTable = document.getElementById('agentOverridesTable');
+const resetSettingsButton = document.getElementById('resetSettingsButton');
+const timelineButton = document.getElementById('timelineButton');
+const agentsButton = document.getElementById('agentsButton');
+const agentsDialog = document.getElementById('agentsDialog');
+const agentsForm = document.getElementById('agentsForm');
+const agentDescription = document.getElementById('agentDescription');
+const agentConstraintFields = document.getElementById('agentConstraintFields');
+const agentTriggerFields = document.getElementById('agentTriggerFields');
+const agentCustomFields = document.getElementById('agentCustomFields');
+const agentReadsList = document.getElementById('agentReadsList');
+const agentsError = document.getElementById('agentsError');
+const addAgentButton = document.getElementById('addAgentButton');
+const deleteAgentButton = document.getElementById('deleteAgentButton');
+const exportAgentsButton = document.getElementById('exportAgentsButton');
+const importAgentsButton = document.getElementById('importAgentsButton');
+const importAgentsInput = document.getElementById('importAgentsInput');
+const resetAgentsButton = document.getElementById('resetAgentsButton');
+const saveAgentsButton = document.getElementById('saveAgentsButton');
 
-// Set canvas dimensions
-const canvasWidth = 1280;
-const canvasHeight = 720;
-canvas.width = canvasWidth;
-canvas.height = canvasHeight;
+// Canvas dimensions in layout units. The canvas fills its container; below the minimum layout size
+// everything is drawn at the minimum and scaled down to fit (see resizeCanvas).
+const MIN_LAYOUT_WIDTH = 1200;
+const MIN_LAYOUT_HEIGHT = 680;
+let canvasWidth = 1280;
+let canvasHeight = 720;
+let layoutScale = 1;
 
 // --- SIMULATION CONTROL ---
 let simLoopTimeout = null;
 let isSimRunning = false;
 let turnIntervalSeconds = 1;
+let commandFeedback = '';
 
-// --- AGENT PERSONALITIES: THE PROMPTS ---
-const AGENT_PROMPTS = {
-    inquisitor: "You are a critical game designer. Your job is to analyze a new design fact and generate one probing question to expose missing details. Your question must be a single line, and less than 10 words.",
-    marketing: "You are a hype-focused marketing agent. Write a short, exciting social media post (140 characters max) about the latest game feature. Include a relevant hashtag like #ProjectChimera.",
-    producer: "You are a pragmatic producer. An unresolved design question has caused a bug. Describe the bug in a short, technical-sounding but slightly humorous bug report. Start with 'Bug #[ID]: ' but replace [ID] with a random 3-digit number."
-};
+// Plays a week for every running project in the studio, not just the one on screen.
+async function advanceWeek() {
+    if (runningProjects().length === 0 || simulationState.isWaitingForAgents) return;
 
-// --- SIMULATION STATE: THE SINGLE SOURCE OF TRUTH ---
-let simulationState = {
-    isWaitingForAgents: false,
-    agentStatusText: "Idle",
-    gameState: {
-        currentWeek: 1,
-        projectName: "Project Chimera",
-        budget: 1000000,
-        designCompleteness: 0,
-        buildProgress: 0,
-        bugs: 0,
-        marketHype: 0,
-        weeklySpend: 5000,
-        marketingActive: false,
-        gameReleased: false,
-        finalScore: 0,
-        commandQueue: [
-            "/declare 'Project Chimera' is a third-person action RPG with stealth elements, set in a cyberpunk fantasy world."
-        ],
-        lastAgentActivity: {
-            translator: "Awaiting input.",
-            inquisitor: "Idle.",
-            producer: "Awaiting project start.",
-            marketing: "Planning phase."
-        }
-    },
-    quantumCore: [],
-    unansweredQuestions: [],
-    bugReports: [],
-};
+    undoStack.push(serializeState());
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    setWaitingState(true, "Agents are thinking...");
+    await runStudioWeek();
+    setWaitingState(false, "Thinking complete. Proceeding to next week.");
 
-// --- AGENT BEHAVIOR & SIMULATION LOGIC ---
+    if (isStudioBankrupt()) commandBar.style.display = 'none';
+    updatePlaceholder();
+    autosaveAndReport();
+    draw();
+}
 
-function generateId(prefix = 'q') {
-    return `${prefix}-${Math.random().toString(36).substr(2, 9)}`;
+// Autosaves, then shows the feedback for what was just done; a failed autosave is added to it so the player knows.
+function autosaveAndReport(message = '') {
+    const error = autosave();
+    if (error) setCommandFeedback(message ? `${message} ${error}` : error);
+    else if (message) setCommandFeedback(message);
 }
 
-/**
- * Asynchronous function to query the local LM Studio model.
- * @param {string} systemPrompt - The instruction/personality for the agent.
- * @param {string} userPrompt - The data for the agent to process.
- * @returns {Promise<string>} The AI-generated text response.
- */
-async function queryAgent(systemPrompt, userPrompt) {
-    // UPDATED: Point to the local LM Studio server endpoint.
-    const endpoint = "http://localhost:1234/v1/chat/completions";
-
-    // UPDATED: Use the OpenAI-compatible message format.
-    const payload = {
-        model: "local-model", // This field is often ignored by LM Studio but good practice.
-        messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt }
-        ],
-        temperature: 0.7,
-        // LM Studio's server doesn't support streaming from a simple fetch like this.
-        stream: false,
-    };
+// Every project waits together, since the studio week switches simulationState between them.
+function setWaitingState(isWaiting, statusText) {
+    studioState.projects.forEach(project => {
+        project.isWaitingForAgents = isWaiting;
+        project.agentStatusText = statusText;
+    });
+    submitCommandButton.disabled = isWaiting;
+    toggleSimButton.disabled = isWaiting;
+    commandInput.disabled = isWaiting;
+    newStudioButton.disabled = isWaiting;
+    importSaveButton.disabled = isWaiting;
+    draw();
+}
 
-    try {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+function updatePlaceholder() {
+    const openQuestion = simulationState.unansweredQuestions.find(q => q.status === 'Open' && !isConflict(q));
+    const conflict = openConflicts()[0];
+    if (isProjectOver()) commandInput.placeholder = "This project is finished. Type /project <name> to start another, or /switch to a running one.";
+    else if (simulationState.gameState.gameReleased) commandInput.placeholder = "The game is out. Use /fix to choose what the next patch fixes.";
+    else if (simulationState.gameState.phase === 'gold') commandInput.placeholder = "The game is Gold. Type /ship to release it.";
+    else if (conflict) commandInput.placeholder = `Conflict! /resolve ${conflict.id} <${conflict.quantumIds.join(' or ')}>`;
+    else commandInput.placeholder = openQuestion ? `e.g., /answer ${openQuestion.id} ...` : "e.g., /declare The main villain is...";
+}
 
-        if (!response.ok) {
-            console.error("API call to local model failed:", response.status, response.statusText);
-            return `Fallback: Could not reach the local agent (status: ${response.status}). Is LM Studio running and the server started?`;
-        }
+// --- SAVE & EXPORT COMMANDS ---
+// Replaces the running simulation with a save; throws if the save is unusable.
+function applySave(raw) {
+    if (isSimRunning) toggleSimulation();
+    restoreState(raw);
+    detailView = null;
+    commandBar.style.display = isStudioBankrupt() ? 'none' : '';
+    updatePlaceholder();
+    draw();
+}
 
-        const data = await response.json();
-        
-        // UPDATED: Parse the response according to OpenAI format.
-        if (data.choices && data.choices[0]?.message?.content) {
-            return data.choices[0].message.content.trim();
-        } else {
-            console.error("API Error: Unexpected response format from local model", data);
-            return "Fallback: Agent returned an invalid response format.";
-        }
+function saveToSlot(input) {
+    const name = input.replace(/^\/save\s*/i, '').trim();
+    if (!name) return setCommandFeedback("Usage: /save <slot name>");
+    try {
+        writeSlot(name, serializeState());
+        setCommandFeedback(`Saved to slot "${name}".`);
     } catch (error) {
-        console.error("Failed to connect to LM Studio.", error);
-        return "Fallback: The agent is offline. Make sure the LM Studio server is running on http://localhost:1234.";
+        setCommandFeedback(`Save failed: ${error.message}`);
     }
 }
 
-
-function translatorTurn(input) {
-    simulationState.gameState.lastAgentActivity.translator = `Parsing: "${input.substring(0, 30)}..."`;
-    const newQuanta = [];
-    const lowerInput = input.toLowerCase();
-
-    if (lowerInput.includes('rpg')) newQuanta.push({ quantumType: 'Genre', data: { name: 'Action RPG' } });
-    if (lowerInput.includes('stealth')) newQuanta.push({ quantumType: 'MechanicPillar', data: { name: 'Stealth' } });
-    if (lowerInput.includes('cyberpunk')) newQuanta.push({ quantumType: 'Setting', data: { name: 'Cyberpunk Fantasy' } });
-    if (lowerInput.includes('protagonist')) newQuanta.push({ quantumType: 'Character', data: { name: 'Unit 734' } });
-    if (lowerInput.includes('ghostwire')) newQuanta.push({ quantumType: 'Ability', data: { name: 'Ghostwire' } });
-    if (lowerInput.includes('art style')) newQuanta.push({ quantumType: 'ArtStyle', data: { name: 'Dystopian Baroque' } });
-    if (lowerInput.includes('gameplay loop')) newQuanta.push({ quantumType: 'GameplayLoop', data: { description: 'Explore, Contract, Takedown, Upgrade' } });
-
-    if (newQuanta.length > 0) {
-        newQuanta.forEach(q => {
-            q.quantumId = generateId();
-            q.version = 1;
-            q.status = "Active";
-            q.createdAt = `Week ${simulationState.gameState.currentWeek}`;
-            q.declarationSource = input;
-            simulationState.quantumCore.push(q);
-        });
-        simulationState.gameState.lastAgentActivity.translator = `Created ${newQuanta.length} new quanta.`;
-        return true;
-    } else {
-        simulationState.gameState.lastAgentActivity.translator = `No new quanta defined from input.`;
-        return false;
+function loadFromSlot(input) {
+    const name = input.replace(/^\/load\s*/i, '').trim() || AUTOSAVE_SLOT;
+    try {
+        const save = readSlot(name);
+        if (!save) return setCommandFeedback(`No save slot named "${name}".`);
+        applySave(save);
+        undoStack = [];
+        setCommandFeedback(`Loaded slot "${name}" (week ${simulationState.gameState.currentWeek}).`);
+    } catch (error) {
+        setCommandFeedback(`Load failed: ${error.message}`);
     }
 }
 
-async function inquisitorTurn() {
-    const recentQuanta = simulationState.quantumCore.filter(q => q.createdAt === `Week ${simulationState.gameState.currentWeek}`);
-    if (recentQuanta.length === 0) {
-        simulationState.gameState.lastAgentActivity.inquisitor = "No new facts to analyze.";
-        return;
-    }
+function listSaves() {
+    const slots = listSlots();
+    setCommandFeedback(slots.length > 0 ? `Save slots: ${slots.join(', ')}` : "No saved games yet.");
+}
 
-    simulationState.gameState.lastAgentActivity.inquisitor = `Analyzing ${recentQuanta.length} new fact(s)...`;
-    const newQuestions = [];
-    for (const q of recentQuanta) {
-        if (q.declarationSource.toLowerCase().startsWith('/answer')) continue;
-        const designFact = `[${q.quantumType}] ${q.data.name || q.data.description}`;
-        const questionText = await queryAgent(AGENT_PROMPTS.inquisitor, designFact);
-        if (!questionText.startsWith("Fallback:") && questionText.length > 10) {
-            newQuestions.push({ id: generateId('uq'), text: questionText, status: "Open", sourceQuantumId: q.quantumId });
-        }
-    }
-    if (newQuestions.length > 0) {
-        simulationState.unansweredQuestions.push(...newQuestions);
-        simulationState.gameState.lastAgentActivity.inquisitor = `Generated ${newQuestions.length} new question(s).`;
-    } else {
-        simulationState.gameState.lastAgentActivity.inquisitor = "Analysis complete. No new questions.";
-    }
+function deleteSave(input) {
+    const name = input.replace(/^\/deletesave\s*/i, '').trim();
+    if (!name || !readSlot(name)) return setCommandFeedback(`No save slot named "${name}".`);
+    localStorage.removeItem(SAVE_KEY_PREFIX + name);
+    setCommandFeedback(`Deleted slot "${name}".`);
 }
 
-async function producerTurn() {
-    if (simulationState.quantumCore.length === 0 || simulationState.gameState.gameReleased) {
-        simulationState.gameState.lastAgentActivity.producer = 'Idle.';
-        return;
-    }
-    simulationState.gameState.budget -= simulationState.gameState.weeklySpend;
-    const openQuestions = simulationState.unansweredQuestions.filter(q => q.status === 'Open');
-    const progressThisWeek = Math.max(0.5, 5 - (openQuestions.length * 0.5));
-    simulationState.gameState.buildProgress = Math.min(100, simulationState.gameState.buildProgress + progressThisWeek);
-    let activityLog = `+${progressThisWeek.toFixed(1)}% progress.`;
-    if (openQuestions.length > 0 && Math.random() < (openQuestions.length * 0.15)) {
-        const questionToBlame = openQuestions[Math.floor(Math.random() * openQuestions.length)];
-        const bugText = await queryAgent(AGENT_PROMPTS.producer, `The unresolved question is: "${questionToBlame.text}"`);
-        if (!bugText.startsWith("Fallback:")) {
-            simulationState.gameState.bugs++;
-            simulationState.bugReports.push({ id: generateId('bug'), text: bugText, week: simulationState.gameState.currentWeek, sourceQuestionId: questionToBlame.id });
-            activityLog = `A new bug was reported!`;
-        }
-    }
-    simulationState.gameState.lastAgentActivity.producer = activityLog;
-    if (simulationState.gameState.buildProgress >= 100) {
-        releaseGame();
-    }
+function newStudio(input = '') {
+    if (isSimRunning) toggleSimulation();
+    const seed = parseInt(input.replace(/^\/new\s*/i, ''), 10);
+    resetSimulation(Number.isNaN(seed) ? undefined : seed >>> 0);
+    undoStack = [];
+    detailView = null;
+    commandBar.style.display = '';
+    updatePlaceholder();
+    autosaveAndReport(`Started a new studio (seed ${studioState.seed}).`);
 }
 
-async function marketingTurn() {
-    if (!simulationState.gameState.marketingActive || simulationState.gameState.gameReleased) {
-        simulationState.gameState.lastAgentActivity.marketing = 'Planning...';
-        return;
-    }
-    const recentQuanta = simulationState.quantumCore.filter(q => q.createdAt === `Week ${simulationState.gameState.currentWeek}`);
-    const featureToHype = recentQuanta.find(q => ['Ability', 'Character', 'MechanicPillar', 'Setting'].includes(q.quantumType));
-    if (featureToHype) {
-        const featureDescription = `The new game feature is a ${featureToHype.quantumType} called '${featureToHype.data.name}'.`;
-        const hypeText = await queryAgent(AGENT_PROMPTS.marketing, featureDescription);
-        simulationState.gameState.lastAgentActivity.marketing = hypeText.startsWith("Fallback:") ? "Creative block! We'll post something next week." : hypeText;
+// --- STUDIO COMMANDS ---
+// "/project <name> [| budget] [| pitch]": the pitch, if given, is queued as the new project's first /declare.
+function newProjectCommand(input) {
+    const [name = '', budgetText = '', pitch = ''] = input.replace(/^\/project\s*/i, '').split('|').map(part => part.trim());
+    if (!name) return setCommandFeedback(`Usage: ${IMMEDIATE_COMMANDS['/project'].usage}`);
+    if (isStudioBankrupt()) return setCommandFeedback('The studio is bankrupt. Click "New Studio" to start over.');
+    if (studioState.projects.some(project => project.gameState.projectName.toLowerCase() === name.toLowerCase())) {
+        return setCommandFeedback(`The studio already has a project called ${name}.`);
     }
-    const hypeThisWeek = simulationState.quantumCore.length / 2;
-    simulationState.gameState.marketHype = Math.min(100, simulationState.gameState.marketHype + hypeThisWeek);
-    simulationState.gameState.weeklySpend += 2000;
-}
-
-function resolveAnswer(input) {
-    const questionIdMatch = input.match(/(\/answer\s+)(uq-[a-z0-9]+)/);
-    if (questionIdMatch) {
-        const questionId = questionIdMatch[2];
-        const question = simulationState.unansweredQuestions.find(q => q.id === questionId);
-        if (question) {
-            question.status = "Answered";
-            translatorTurn(input);
-            simulationState.gameState.lastAgentActivity.translator = `Answered question ${questionId}.`
-            return true;
-        }
-    }
-    translatorTurn(input);
-    return false;
+    const budget = budgetText ? Number(budgetText.replace(/[$,\s]/g, '')) : DEFAULT_PROJECT.budget;
+    if (!Number.isFinite(budget) || budget < 0) return setCommandFeedback(`"${budgetText}" is not a budget; use a whole number of dollars.`);
+
+    const project = startProject({ name, pitch, budget: Math.round(budget) });
+    detailView = null;
+    commandBar.style.display = '';
+    updatePlaceholder();
+    const team = project.team.members.length > 0 ? `${project.team.members.length} staff joined from the bench.` : "No one is on the bench; /hire or /transfer staff.";
+    autosaveAndReport(`Started ${name} with $${Math.round(budget).toLocaleString()} (${studioState.projects.length} projects in the studio). ${team}`);
 }
 
-async function advanceWeek() {
-    if (simulationState.gameState.gameReleased || simulationState.isWaitingForAgents) return;
+function switchCommand(input) {
+    const target = commandArguments(input).join(' ');
+    if (!target) return setCommandFeedback(studioSummary());
+    const project = switchProject(target);
+    if (!project) return setCommandFeedback(`No project matches "${target}". Type /studio to see them all.`);
+    detailView = null;
+    commandBar.style.display = isStudioBankrupt() ? 'none' : '';
+    updatePlaceholder();
+    setCommandFeedback(`Now showing ${project.gameState.projectName} (week ${project.gameState.currentWeek}).`);
+}
 
-    const input = simulationState.gameState.commandQueue.shift();
-    let processed = false;
-    if (input && input.trim() !== '') {
-        if (input.startsWith('/declare')) processed = translatorTurn(input);
-        else if (input.startsWith('/answer')) processed = resolveAnswer(input);
-    }
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Some browsers (Firefox) start the download after click() returns, so the URL has to outlive this call.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    setWaitingState(true, "Agents are thinking...");
-    
-    const agentPromises = [];
-    if (processed) {
-        agentPromises.push(inquisitorTurn());
+function exportSave() {
+    const save = serializeState();
+    downloadFile(`${fileSlug(simulationState.gameState.projectName)}-week-${simulationState.gameState.currentWeek}.json`, JSON.stringify(save, null, 2), 'application/json');
+    setCommandFeedback("Exported save file.");
+}
+
+function exportCommand(input) {
+    const [target = '', format = 'md'] = input.replace(/^\/export\s*/i, '').trim().toLowerCase().split(/\s+/);
+    if (target === 'save' || target === '') return exportSave();
+    if (target === 'gdd') return exportGdd(format);
+    if (target === 'log') return isEventFilter(format) ? exportEventLog(format) : exportEventLog();
+    if (target === 'agents') return exportAgentConfig(agentConfig);
+    setCommandFeedback(`Unknown export "${target}". Try /export save, /export gdd [md|html], /export log [filter] or /export agents.`);
+}
+
+async function importSaveFile(file) {
+    try {
+        applySave(JSON.parse(await file.text()));
+        undoStack = [];
+        autosaveAndReport(`Imported "${file.name}" (week ${simulationState.gameState.currentWeek}).`);
+    } catch (error) {
+        setCommandFeedback(`Import failed: ${error.message}`);
     }
-    agentPromises.push(producerTurn());
-    if (simulationState.gameState.currentWeek > 5) {
-        simulationState.gameState.marketingActive = true;
+}
+
+function exportEventLog(filter = 'all') {
+    const log = eventLogExport(filter);
+    const suffix = filter === 'all' ? '' : `-${filter}`;
+    downloadFile(`${fileSlug(log.projectName)}-log${suffix}-week-${log.week}.json`, JSON.stringify(log, null, 2), 'application/json');
+    setCommandFeedback(`Exported ${log.events.length} logged event(s).`);
+}
+
+function exportAgentConfig(config) {
+    downloadFile('agents.json', JSON.stringify(config, null, 2), 'application/json');
+    setCommandFeedback(`Exported the configuration of ${config.agents.length} agent(s).`);
+}
+
+function exportGdd(format = 'md') {
+    const model = buildGddModel();
+    const baseName = `${fileSlug(model.projectName)}-gdd-week-${model.week}`;
+    if (format === 'html') downloadFile(`${baseName}.html`, renderGddHtml(model), 'text/html');
+    else downloadFile(`${baseName}.md`, renderGddMarkdown(model), 'text/markdown');
+    setCommandFeedback(`Exported design document (${format === 'html' ? 'HTML' : 'Markdown'}, ${model.factCount} facts).`);
+}
+
+// --- CANVAS LAYOUT & INTERACTION ---
+// Clickable and scrollable areas registered by the last draw(), in canvas layout units.
+let hitRegions = [];
+let scrollRegions = [];
+const panelScroll = {};
+// The overlay on top of the panels: { kind: 'quantum', quantumId }, { kind: 'timeline', filter } or { kind: 'studio' }.
+let detailView = null;
+
+// Sizes the canvas to its container (sharp on high-DPI screens) and keeps the command bar over the Command Hub.
+function resizeCanvas() {
+    const width = Math.max(1, simulationContainer.clientWidth);
+    const height = Math.max(1, simulationContainer.clientHeight);
+    layoutScale = Math.min(1, width / MIN_LAYOUT_WIDTH, height / MIN_LAYOUT_HEIGHT);
+    canvasWidth = width / layoutScale;
+    canvasHeight = height / layoutScale;
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    ctx.setTransform(pixelRatio * layoutScale, 0, 0, pixelRatio * layoutScale, 0, 0);
+
+    const margin = 20;
+    const colWidth = (canvasWidth - margin * 3) / 2;
+    commandBar.style.left = `${(margin + 10) * layoutScale}px`;
+    commandBar.style.top = `${112 * layoutScale}px`;
+    commandBar.style.transform = `scale(${layoutScale})`;
+    commandInput.style.width = `${colWidth - 140}px`;
+}
+
+function addHitRegion(x, y, w, h, onClick) {
+    hitRegions.push({ x, y, w, h, onClick });
+}
+
+function regionAt(regions, point) {
+    for (let i = regions.length - 1; i >= 0; i--) {
+        const r = regions[i];
+        if (point.x >= r.x && point.x < r.x + r.w && point.y >= r.y && point.y < r.y + r.h) return r;
     }
-    agentPromises.push(marketingTurn());
-    
-    await Promise.all(agentPromises);
-    
-    setWaitingState(false, "Thinking complete. Proceeding to next week.");
+    return null;
+}
 
-    simulationState.gameState.currentWeek++;
-    const openQuestions = simulationState.unansweredQuestions.filter(q => q.status === 'Open').length;
-    const totalItems = simulationState.quantumCore.length + openQuestions;
-    simulationState.gameState.designCompleteness = totalItems > 0 ? (simulationState.quantumCore.length / totalItems) * 100 : (simulationState.quantumCore.length > 0 ? 100 : 0);
-    
-    updatePlaceholder();
+function canvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / rect.width * canvasWidth, y: (e.clientY - rect.top) / rect.height * canvasHeight };
+}
+
+function handleCanvasClick(e) {
+    const region = regionAt(hitRegions, canvasPoint(e));
+    if (region && region.onClick) region.onClick();
+}
+
+function handleCanvasWheel(e) {
+    const region = regionAt(scrollRegions, canvasPoint(e));
+    if (!region) return;
+    e.preventDefault();
+    panelScroll[region.key] = (panelScroll[region.key] || 0) + e.deltaY;
     draw();
 }
 
-function setWaitingState(isWaiting, statusText) {
-    simulationState.isWaitingForAgents = isWaiting;
-    simulationState.agentStatusText = statusText;
-    submitCommandButton.disabled = isWaiting;
-    toggleSimButton.disabled = isWaiting;
-    commandInput.disabled = isWaiting;
+function handleCanvasMouseMove(e) {
+    const region = regionAt(hitRegions, canvasPoint(e));
+    canvas.style.cursor = region && region.onClick ? 'pointer' : 'default';
+}
+
+// Puts a command into the input for the player to finish, instead of submitting it.
+function fillCommand(text) {
+    if (isProjectOver()) return;
+    commandInput.value = text;
+    commandInput.focus();
+}
+
+function openQuantumDetail(quantumId) {
+    detailView = { kind: 'quantum', quantumId };
+    panelScroll.detail = 0;
     draw();
 }
 
-function updatePlaceholder() {
-    const openQuestion = simulationState.unansweredQuestions.find(q => q.status === 'Open');
-    commandInput.placeholder = openQuestion ? `e.g., /answer ${openQuestion.id} ...` : "e.g., /declare The main villain is...";
+function openTimeline(filter = 'all') {
+    detailView = { kind: 'timeline', filter };
+    panelScroll.detail = 0;
+    draw();
 }
 
-function releaseGame() {
-    simulationState.gameState.gameReleased = true;
-    commandBar.style.display = 'none';
-    const designScore = simulationState.gameState.designCompleteness;
-    const hypeScore = simulationState.gameState.marketHype;
-    const qualityScore = Math.max(0, 100 - (simulationState.gameState.bugs * 2));
-    simulationState.gameState.finalScore = (designScore * 0.4) + (hypeScore * 0.3) + (qualityScore * 0.3);
-    simulationState.gameState.lastAgentActivity.producer = `GAME RELEASED! Final Score: ${simulationState.gameState.finalScore.toFixed(1)}`
+function openStudioView() {
+    detailView = { kind: 'studio' };
+    panelScroll.detail = 0;
+    draw();
+}
+
+function closeDetailView() {
+    detailView = null;
+    draw();
 }
 
 // --- RENDERING ENGINE ---
@@ -299,28 +352,303 @@ function drawProgressBar(label, x, y, w, h, value, color) {
     drawText(text, x + w / 2, y + h / 2, 14, '#ffffff', 'center', 'middle');
 }
 
+// Splits text into lines no wider than maxWidth at the given font size, breaking overlong words.
+function wrapText(text, maxWidth, size) {
+    ctx.font = `bold ${size}px 'Segoe UI'`;
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width <= maxWidth) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line);
+        line = word;
+        while (ctx.measureText(line).width > maxWidth && line.length > 1) {
+            let cut = line.length - 1;
+            while (cut > 1 && ctx.measureText(line.slice(0, cut)).width > maxWidth) cut--;
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+        }
+    });
+    if (line) lines.push(line);
+    return lines.length > 0 ? lines : [''];
+}
+
+/**
+ * Draws a clipped list of wrapped text items that scrolls with the mouse wheel. Items with an
+ * onClick become hit regions.
+ * @param {string} key - Which panelScroll offset the list uses.
+ * @param {Array<{text: string, color?: string, size?: number, onClick?: Function}>} items
+ */
+function drawScrollList(key, x, y, w, h, items) {
+    const textWidth = w - 26;
+    const laidOut = items.map(item => {
+        const size = item.size || 14;
+        const lines = wrapText(item.text, textWidth, size);
+        return { ...item, size, lines, height: lines.length * (size + 6) + 4 };
+    });
+    const contentHeight = laidOut.reduce((total, item) => total + item.height, 0);
+    const maxScroll = Math.max(0, contentHeight - h);
+    panelScroll[key] = Math.min(maxScroll, Math.max(0, panelScroll[key] || 0));
+    scrollRegions.push({ x, y, w, h, key });
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+    let itemY = y - panelScroll[key];
+    laidOut.forEach(item => {
+        if (itemY + item.height > y && itemY < y + h) {
+            item.lines.forEach((line, i) => drawText(line, x + (i > 0 ? 10 : 0), itemY + i * (item.size + 6), item.size, item.color || '#ecf0f1', 'left', 'top'));
+            if (item.onClick) {
+                const top = Math.max(y, itemY);
+                addHitRegion(x, top, w, Math.min(y + h, itemY + item.height) - top, item.onClick);
+            }
+        }
+        itemY += item.height;
+    });
+    ctx.restore();
+
+    if (maxScroll > 0) {
+        const thumbHeight = Math.max(20, h * h / contentHeight);
+        drawPanel(x + w - 6, y, 6, h, '#2c3e50');
+        drawPanel(x + w - 6, y + (h - thumbHeight) * panelScroll[key] / maxScroll, 6, thumbHeight, '#7f8c8d');
+    }
+}
+
+function quantumDetailItems(quantum) {
+    const { unansweredQuestions, bugReports } = simulationState;
+    const heading = text => ({ text, color: '#bdc3c7', size: 16 });
+    const items = [
+        { text: `${factVersionLine(quantum)} · ${quantum.status}`, color: '#bdc3c7' },
+        { text: `Source: ${quantum.declarationSource}` },
+        heading('Data'),
+        ...Object.entries(quantum.data).map(([field, value]) => ({ text: `${field}: ${Array.isArray(value) ? value.join(', ') : value}` }))
+    ];
+    const answered = unansweredQuestions.find(uq => uq.id === quantum.sourceQuestionId);
+    if (answered) items.push(heading('Answers'), { text: `${answered.id}: ${answered.text}` });
+
+    const conflicts = unansweredQuestions.filter(uq => isConflict(uq) && uq.quantumIds.includes(quantum.quantumId));
+    if (conflicts.length > 0) {
+        items.push(heading(`Conflicts (${conflicts.length})`));
+        conflicts.forEach(uq => items.push(uq.status === 'Open'
+            ? { text: `${uq.id} (Open, click to keep this fact): ${uq.text}`, color: '#e67e22', onClick: () => { detailView = null; fillCommand(`/resolve ${uq.id} ${quantum.quantumId}`); draw(); } }
+            : { text: `${uq.id} (${uq.status}): ${uq.text}${uq.answer ? ` → ${uq.answer}` : ''}`, color: '#2ecc71' }));
+    }
+
+    const raised = unansweredQuestions.filter(uq => uq.sourceQuantumId === quantum.quantumId && !isConflict(uq));
+    if (raised.length > 0) {
+        items.push(heading(`Questions Raised (${raised.length})`));
+        raised.forEach(uq => items.push(uq.status === 'Open'
+            ? { text: `${uq.id} (Open): ${uq.text}`, color: '#e74c3c', onClick: () => { detailView = null; fillCommand(`/answer ${uq.id} `); draw(); } }
+            : { text: `${uq.id} (${uq.status}): ${uq.text}${uq.answer ? ` → ${uq.answer}` : ''}`, color: '#2ecc71' }));
+    }
+    const raisedIds = [...raised, ...conflicts].map(uq => uq.id);
+    const bugs = bugReports.filter(bug => raisedIds.includes(bug.sourceQuestionId));
+    if (bugs.length > 0) {
+        items.push(heading(`Linked Bugs (${bugs.length})`));
+        bugs.forEach(bug => items.push({ text: `${bug.id} [${bug.severity}, ${bug.status}] ${bug.text}`, color: BUG_SEVERITIES[bug.severity].color }));
+    }
+    if (quantum.history.length > 0) {
+        items.push({ text: `${quantum.history.length} earlier version(s). Type /history ${quantum.quantumId} to see them.`, color: '#bdc3c7' });
+    }
+    return items;
+}
+
+function launchItems(launch) {
+    const items = [];
+    if (launch.reviews.length > 0) items.push({ text: `Reviews: ${reviewScore().toFixed(0)}/100 from ${launch.reviews.length} critic(s) · Revenue $${launch.totalRevenue.toLocaleString()}`, color: '#f1c40f' });
+    launch.patches.slice().reverse().forEach(patch => items.push({ text: `Patch ${patch.version} (week ${patch.week}): fixed ${patch.fixed} bug(s)`, color: '#2ecc71' }));
+    launch.weeklySales.slice().reverse().forEach(sale => items.push({ text: `Week ${sale.week}: ${sale.units.toLocaleString()} units · $${sale.revenue.toLocaleString()}` }));
+    return items.length > 0 ? items : [{ text: "Sales start this week." }];
+}
+
+function marketItems() {
+    const week = simulationState.gameState.currentWeek;
+    const trend = activeTrend();
+    const items = [trend
+        ? { text: `Trend: ${trend.mechanic} until week ${trend.endWeek}`, color: trendMultiplier() > 1 ? '#2ecc71' : '#bdc3c7' }
+        : { text: "No trend right now.", color: '#bdc3c7' }];
+    simulationState.market.competitors.filter(c => !c.released || week - c.releaseWeek < COMPETITION_WINDOW).forEach(c => {
+        const overlap = competitorOverlap(c);
+        items.push({
+            text: `${c.title} (${c.studio}) · ${c.genre} · ${c.released ? 'out now' : `week ${c.releaseWeek}`}${overlap > 0 ? ` · ${Math.round(overlap * 100)}% overlap` : ''}`,
+            color: overlap > 0 ? '#e67e22' : '#ecf0f1'
+        });
+    });
+    return items;
+}
+
+// Dims the panels and draws the overlay window with its title and close button; returns the window's bounds.
+function drawOverlayFrame(title) {
+    drawPanel(0, 0, canvasWidth, canvasHeight, 'rgba(0, 0, 0, 0.6)');
+    addHitRegion(0, 0, canvasWidth, canvasHeight, closeDetailView);
+    const w = Math.min(900, canvasWidth - 80);
+    const h = canvasHeight - 120;
+    const x = (canvasWidth - w) / 2;
+    const y = 60;
+    drawPanel(x, y, w, h, '#2c3e50');
+    ctx.strokeStyle = '#7f8c8d'; ctx.strokeRect(x, y, w, h);
+    addHitRegion(x, y, w, h, null);
+    drawText(title.substring(0, 60), x + 20, y + 35, 22, '#e67e22');
+    drawText('✕ Close', x + w - 20, y + 35, 16, '#bdc3c7', 'right');
+    addHitRegion(x + w - 100, y + 10, 90, 35, closeDetailView);
+    return { x, y, w, h };
+}
+
+function drawDetailView() {
+    if (detailView.kind === 'timeline') return drawTimelineView();
+    if (detailView.kind === 'studio') return drawStudioView();
+    const quantum = findQuantum(detailView.quantumId);
+    if (!quantum) {
+        detailView = null;
+        return;
+    }
+    const { x, y, w, h } = drawOverlayFrame(`[${quantum.quantumType}] ${quantum.data.name || quantum.data.description || quantum.quantumId}`);
+    drawScrollList('detail', x + 20, y + 55, w - 40, h - 75, quantumDetailItems(quantum));
+}
+
+// --- TIMELINE & METRICS CHART ---
+const EVENT_COLORS = {
+    command: '#e67e22', prompt: '#7f8c8d', response: '#ecf0f1', error: '#e74c3c',
+    activity: '#bdc3c7', metrics: '#3498db', milestone: '#f1c40f', release: '#2ecc71'
+};
+const METRIC_COLORS = { designCompleteness: '#2980b9', buildProgress: '#27ae60', marketHype: '#f1c40f', budget: '#9b59b6', bugs: '#e74c3c' };
+
+function timelineItems(filter) {
+    return filterEvents(filter).slice().reverse().map(event => ({
+        text: `W${event.week} · ${event.agent ? `${agentLabel(event.agent)} ` : ''}${event.type}: ${event.text}`,
+        color: EVENT_COLORS[event.type]
+    }));
+}
+
+// Percentages share a 0-100 scale; budget and bugs are scaled to their own peak, which the legend shows.
+function drawMetricsChart(x, y, w, h) {
+    const history = metricsHistory();
+    drawPanel(x, y, w, h, '#1a1a1a');
+    if (history.length < 2) {
+        drawText("The chart fills in as the weeks pass.", x + w / 2, y + h / 2, 14, '#7f8c8d', 'center', 'middle');
+        return;
+    }
+    const legendHeight = 22;
+    const plotHeight = h - legendHeight - 10;
+    let legendX = x + 10;
+    TRACKED_METRICS.forEach(metric => {
+        const percent = metric.key !== 'budget' && metric.key !== 'bugs';
+        const peak = percent ? 100 : Math.max(1, ...history.map(point => point[metric.key]));
+        ctx.strokeStyle = METRIC_COLORS[metric.key];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        history.forEach((point, i) => {
+            const px = x + 10 + (w - 20) * i / (history.length - 1);
+            const py = y + 5 + plotHeight * (1 - Math.max(0, point[metric.key]) / peak);
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+        const legend = percent ? metric.label : `${metric.label} (peak ${metric.format(peak)})`;
+        drawText(legend, legendX, y + h - 8, 13, METRIC_COLORS[metric.key]);
+        legendX += ctx.measureText(legend).width + 18;
+    });
+    ctx.lineWidth = 1;
+    drawText(`Weeks ${history[0].week}-${history[history.length - 1].week}`, x + w - 10, y + h - 8, 13, '#7f8c8d', 'right');
+}
+
+function drawTimelineView() {
+    const filter = detailView.filter;
+    const { x, y, w, h } = drawOverlayFrame(`Timeline (${simulationState.eventLog.length} events)`);
+    drawText('⤓ Export JSON', x + w - 110, y + 35, 16, '#bdc3c7', 'right');
+    addHitRegion(x + w - 240, y + 10, 130, 35, () => exportEventLog(filter));
+
+    let chipX = x + 20;
+    [...Object.keys(EVENT_FILTERS), ...agentNames()].forEach(name => {
+        const label = EVENT_FILTERS[name] ? titleCase(name) : agentLabel(name);
+        ctx.font = "bold 14px 'Segoe UI'";
+        const chipWidth = ctx.measureText(label).width + 16;
+        drawPanel(chipX, y + 50, chipWidth, 24, name === filter ? '#e67e22' : '#34495e');
+        drawText(label, chipX + 8, y + 62, 14, '#ecf0f1', 'left', 'middle');
+        addHitRegion(chipX, y + 50, chipWidth, 24, () => openTimeline(name));
+        chipX += chipWidth + 6;
+    });
+
+    const chartHeight = 150;
+    drawMetricsChart(x + 20, y + 84, w - 40, chartHeight);
+    const listY = y + 94 + chartHeight;
+    const items = timelineItems(filter);
+    drawScrollList('detail', x + 20, listY, w - 40, y + h - 20 - listY, items.length > 0 ? items : [{ text: "Nothing logged yet.", color: '#7f8c8d' }]);
+}
+
+// --- STUDIO VIEW ---
+function projectStatus(project) {
+    const { gameState, market } = project;
+    if (gameState.bankrupt) return 'bankrupt';
+    if (market.launch) return market.launch.finished ? `shipped, score ${gameState.finalScore.toFixed(1)}` : `on sale, ${market.launch.weeksRemaining} wk(s) left`;
+    return `${PHASES.find(phase => phase.id === gameState.phase).label}, build ${gameState.buildProgress.toFixed(0)}%`;
+}
+
+function studioItems() {
+    const heading = text => ({ text, color: '#bdc3c7', size: 16 });
+    const items = [
+        { text: studioSummary(), color: '#f1c40f' },
+        { text: `Reputation adds ${(studioReputation() * REPUTATION_HYPE_SHARE).toFixed(1)}% starting hype to the next project. Type /project <name> [| budget] [| pitch] to start one.`, color: '#bdc3c7' },
+        heading(`Projects (${studioState.projects.length}, click to switch)`)
+    ];
+    studioState.projects.forEach((project, i) => items.push({
+        text: `${i + 1}. ${project.gameState.projectName}${project === simulationState ? ' (on screen)' : ''} · week ${project.gameState.currentWeek} · ${projectStatus(project)} · ${project.team.members.length} staff`,
+        color: projectIsOver(project) ? '#7f8c8d' : '#ecf0f1',
+        onClick: () => { switchCommand(`/switch ${project.id}`); }
+    }));
+    items.push(heading(`Bench (${studioState.bench.length})`));
+    items.push({ text: studioState.bench.length > 0 ? studioState.bench.map(member => `${member.name} (${STAFF_ROLES[member.role].label})`).join(', ') : "Everyone is on a project." });
+    items.push(heading(`Shipped Titles (${studioState.history.length})`));
+    studioState.history.slice().reverse().forEach(title => items.push({
+        text: `${title.name} · score ${title.finalScore.toFixed(1)} · reviews ${title.reviewScore.toFixed(0)}/100 · ${title.unitsSold.toLocaleString()} units · $${title.revenue.toLocaleString()} (studio week ${title.week})`,
+        color: '#2ecc71'
+    }));
+    if (studioState.history.length === 0) items.push({ text: "Nothing shipped yet.", color: '#7f8c8d' });
+    return items;
+}
+
+function drawStudioView() {
+    const { x, y, w, h } = drawOverlayFrame(`Studio · Week ${studioState.week}`);
+    drawScrollList('detail', x + 20, y + 55, w - 40, h - 75, studioItems());
+}
+
+function drawCommandHub(x, y, w, h) {
+    drawPanel(x, y, w, h, '#34495e');
+    drawText("Command Hub (Your Turn)", x + 10, y + 25, 18, '#bdc3c7');
+    if (commandFeedback) drawScrollList('feedback', x + 10, y + 78, w - 20, 48, [{ text: commandFeedback, color: '#f1c40f', size: 13 }]);
+}
+
 function draw() {
+    hitRegions = [];
+    scrollRegions = [];
     ctx.clearRect(0, 0, canvasWidth, canvasHeight);
     const margin = 20;
     const colWidth = (canvasWidth - margin * 3) / 2;
     const rowHeight = 130;
 
     drawPanel(0, 0, canvasWidth, 60, '#1f2b38');
-    drawText(simulationState.gameState.projectName, margin, 35, 32, '#e67e22');
+    const projects = studioState.projects;
+    const projectName = simulationState.gameState.projectName;
+    const projectTitle = (projectName.length > 24 ? `${projectName.substring(0, 23)}…` : projectName)
+        + (projects.length > 1 ? ` (${projects.indexOf(simulationState) + 1}/${projects.length})` : '');
+    drawText(projectTitle, margin, 35, 32, '#e67e22');
+    addHitRegion(margin, 0, ctx.measureText(projectTitle).width, 60, openStudioView);
+    const launch = simulationState.market.launch;
+    const phaseLabel = launch ? `Sales Period: Week ${Math.min(POST_LAUNCH_WEEKS, POST_LAUNCH_WEEKS - launch.weeksRemaining + 1)} of ${POST_LAUNCH_WEEKS}` : `Phase: ${currentPhase().label}`;
+    drawText(phaseLabel, canvasWidth / 2, 35, 24, simulationState.gameState.phase === 'gold' ? '#f1c40f' : '#bdc3c7', 'center');
     drawText(`Week: ${simulationState.gameState.currentWeek}`, canvasWidth - margin, 35, 32, '#ecf0f1', 'right');
 
-    drawPanel(margin, 80, colWidth, rowHeight, '#34495e');
-    drawText("Command Hub (Your Turn)", margin + 10, 105, 18, '#bdc3c7');
+    drawCommandHub(margin, 80, colWidth, rowHeight);
 
     const rightColX = margin * 2 + colWidth;
     drawPanel(rightColX, 80, colWidth, rowHeight, '#34495e');
     drawText("Agent Status", rightColX + 10, 105, 18, '#bdc3c7');
-    drawText(`- Translator: ${simulationState.gameState.lastAgentActivity.translator.substring(0, 65)}`, rightColX + 20, 130, 14);
-    drawText(`- Inquisitor: ${simulationState.gameState.lastAgentActivity.inquisitor.substring(0, 65)}`, rightColX + 20, 150, 14);
-    drawText(`- Producer: ${simulationState.gameState.lastAgentActivity.producer.substring(0, 65)}`, rightColX + 20, 170, 14);
-    const marketingText = simulationState.gameState.lastAgentActivity.marketing;
-    drawText(`- Marketing: ${marketingText.substring(0, 65)}`, rightColX + 20, 190, 14);
-    if (marketingText.length > 65) drawText(marketingText.substring(65, 130), rightColX + 30, 205, 14);
+    const activity = simulationState.gameState.lastAgentActivity;
+    drawScrollList('agents', rightColX + 20, 115, colWidth - 30, rowHeight - 40, agentNames().map(agent => ({ text: `- ${agentLabel(agent)}: ${activity[agent] || 'Idle.'}` })));
 
     const metricsPanelY = 230;
     const metricsPanelHeight = 120;
@@ -331,41 +659,105 @@ function draw() {
     drawProgressBar("Build Progress", margin + 20, metricsPanelY + 80, barWidth, barHeight, simulationState.gameState.buildProgress, '#27ae60');
     const textMetricsX = margin + barWidth + 40;
     drawProgressBar("Market Hype", textMetricsX, metricsPanelY + 45, 180, barHeight, simulationState.gameState.marketHype, '#f1c40f');
-    drawText(`Budget: $${simulationState.gameState.budget.toLocaleString()}`, textMetricsX, metricsPanelY + 98, 16, '#2ecc71');
-    drawText(`Bugs: ${simulationState.gameState.bugs}`, textMetricsX + 200, metricsPanelY + 98, 16, '#e74c3c');
+    const runway = runwayWeeks();
+    drawText(`Budget: $${simulationState.gameState.budget.toLocaleString()} (${runway} wks)`, textMetricsX, metricsPanelY + 98, 16, runway < 8 ? '#e74c3c' : '#2ecc71');
+    drawText(`Bugs: ${simulationState.gameState.bugs}`, textMetricsX + 260, metricsPanelY + 98, 16, '#e74c3c');
+
+    const teamX = textMetricsX + 340;
+    const { disciplineProgress, weeklySpend } = simulationState.gameState;
+    drawText(`Team: ${teamSummary()}`, teamX, metricsPanelY + 55, 14);
+    drawText(`Code ${disciplineProgress.code.toFixed(0)}% · Art ${disciplineProgress.art.toFixed(0)}% · Design ${disciplineProgress.design.toFixed(0)}%`, teamX, metricsPanelY + 77, 14, '#bdc3c7');
+    const crunchLabel = simulationState.team.crunch ? ' · CRUNCH' : '';
+    drawText(`Morale: ${averageMorale().toFixed(0)}%${crunchLabel} · Spend: $${weeklySpend.toLocaleString()}/wk`, teamX, metricsPanelY + 99, 14, simulationState.team.crunch ? '#e67e22' : '#bdc3c7');
 
     const dbPanelY = 370;
     const bottomPanelHeight = canvasHeight - dbPanelY - margin;
     const halfHeight = (bottomPanelHeight - margin) / 2;
-    drawPanel(margin, dbPanelY, colWidth, bottomPanelHeight, '#34495e');
-    drawText("Quantum Core (Design Facts)", margin + 10, dbPanelY + 25, 18, '#bdc3c7');
-    simulationState.quantumCore.slice(-12).forEach((q, i) => {
-        drawText(`[${q.quantumType}] ${q.data.name || q.data.description || ''}`.substring(0, 60), margin + 20, dbPanelY + 55 + i * 22, 14);
-    });
+    const gatePanelHeight = 120;
+    const corePanelHeight = bottomPanelHeight - gatePanelHeight - margin;
+    const quanta = activeQuanta();
+    drawPanel(margin, dbPanelY, colWidth, corePanelHeight, '#34495e');
+    drawText(`Quantum Core (${quanta.length} Design Facts)`, margin + 10, dbPanelY + 25, 18, '#bdc3c7');
+    drawScrollList('quanta', margin + 20, dbPanelY + 40, colWidth - 30, corePanelHeight - 50, quanta.slice().reverse().map(q => ({
+        text: `${q.quantumId} [${q.quantumType}] ${q.data.name || q.data.description || ''}${q.version > 1 ? ` (v${q.version})` : ''}`,
+        onClick: () => openQuantumDetail(q.quantumId)
+    })));
+
+    const gatePanelY = dbPanelY + corePanelHeight + margin;
+    const gatePanelWidth = Math.floor(colWidth * 0.55);
+    drawPanel(margin, gatePanelY, gatePanelWidth, gatePanelHeight, '#34495e');
+    const upcomingPhase = nextPhase();
+    if (launch) {
+        drawText(`Launch (${launch.totalUnits.toLocaleString()} sold)`, margin + 10, gatePanelY + 25, 18, '#bdc3c7');
+        drawScrollList('gate', margin + 20, gatePanelY + 38, gatePanelWidth - 30, gatePanelHeight - 48, launchItems(launch));
+    } else if (upcomingPhase) {
+        drawText(`Next Gate: ${upcomingPhase.label}`, margin + 10, gatePanelY + 25, 18, '#bdc3c7');
+        drawScrollList('gate', margin + 20, gatePanelY + 38, gatePanelWidth - 30, gatePanelHeight - 48, phaseChecklist(upcomingPhase).map(item => ({
+            text: `${item.met ? '✔' : '✘'} ${item.label}`, color: item.met ? '#2ecc71' : '#e74c3c'
+        })));
+    } else {
+        drawText("Gold: Ready to Ship", margin + 10, gatePanelY + 25, 18, '#f1c40f');
+        drawScrollList('gate', margin + 20, gatePanelY + 38, gatePanelWidth - 30, gatePanelHeight - 48, [{ text: "Every gate is passed. Type /ship to release the game." }]);
+    }
+
+    const marketPanelX = margin * 2 + gatePanelWidth;
+    const marketPanelWidth = colWidth - gatePanelWidth - margin;
+    drawPanel(marketPanelX, gatePanelY, marketPanelWidth, gatePanelHeight, '#34495e');
+    drawText("Market", marketPanelX + 10, gatePanelY + 25, 18, '#bdc3c7');
+    drawScrollList('market', marketPanelX + 20, gatePanelY + 38, marketPanelWidth - 30, gatePanelHeight - 48, marketItems());
 
     drawPanel(rightColX, dbPanelY, colWidth, halfHeight, '#34495e');
-    drawText("Unanswered Questions", rightColX + 10, dbPanelY + 25, 18, '#bdc3c7');
-    simulationState.unansweredQuestions.filter(q => q.status === 'Open').slice(0, 5).forEach((uq, i) => {
-        drawText(`${uq.id}: ${uq.text.substring(0, 50)}...`, rightColX + 20, dbPanelY + 55 + i * 22, 14, '#e74c3c');
-    });
+    const openQuestions = simulationState.unansweredQuestions.filter(q => q.status === 'Open');
+    drawText(`Unanswered Questions (${openQuestions.length})`, rightColX + 10, dbPanelY + 25, 18, '#bdc3c7');
+    drawScrollList('questions', rightColX + 20, dbPanelY + 40, colWidth - 30, halfHeight - 50, openQuestions.map(uq => isConflict(uq)
+        ? { text: `${uq.id}: ${uq.text}`, color: '#e67e22', onClick: () => fillCommand(`/resolve ${uq.id} `) }
+        : { text: `${uq.id}: ${uq.text}`, color: '#e74c3c', onClick: () => fillCommand(`/answer ${uq.id} `) }));
 
     const bugPanelY = dbPanelY + halfHeight + margin;
     drawPanel(rightColX, bugPanelY, colWidth, halfHeight, '#34495e');
-    drawText("Recent Bug Reports", rightColX + 10, bugPanelY + 25, 18, '#bdc3c7');
-    simulationState.bugReports.slice(-5).forEach((bug, i) => {
-        drawText(bug.text.substring(0, 65), rightColX + 20, bugPanelY + 55 + i * 22, 14, '#f39c12');
-    });
+    const unresolvedBugs = simulationState.bugReports.filter(isUnresolved);
+    drawText(`Open Bug Reports (${unresolvedBugs.length})`, rightColX + 10, bugPanelY + 25, 18, '#bdc3c7');
+    drawScrollList('bugs', rightColX + 20, bugPanelY + 40, colWidth - 30, halfHeight - 50, unresolvedBugs.slice().reverse().map(bug => ({
+        text: `${bug.id} [${bug.severity}]${bug.status === 'In Progress' ? ' (fixing)' : ''} ${bug.text}`,
+        color: BUG_SEVERITIES[bug.severity].color,
+        onClick: bug.status === 'Open' ? () => fillCommand(`/fix ${bug.id} `) : null
+    })));
 
-    if (simulationState.isWaitingForAgents) {
-        drawPanel(0, 0, canvasWidth, canvasHeight, 'rgba(44, 62, 80, 0.85)');
-        drawText(simulationState.agentStatusText, canvasWidth / 2, canvasHeight / 2, 40, '#ecf0f1', 'center');
+    // Full-screen overlays swallow clicks and scrolling meant for the panels underneath.
+    if (simulationState.isWaitingForAgents || isProjectOver()) {
+        hitRegions = [];
+        scrollRegions = [];
     }
 
-    if (simulationState.gameState.gameReleased) {
+    if (isLaunchFinished()) {
         drawPanel(0, 0, canvasWidth, canvasHeight, 'rgba(44, 62, 80, 0.9)');
-        drawText('GAME RELEASED!', canvasWidth / 2, canvasHeight / 2 - 50, 60, '#e67e22', 'center');
-        drawText(`Final Score: ${simulationState.gameState.finalScore.toFixed(1)} / 100`, canvasWidth / 2, canvasHeight / 2 + 20, 40, '#ecf0f1', 'center');
-        drawText('Refresh the page to start a new project.', canvasWidth / 2, canvasHeight / 2 + 80, 20, '#bdc3c7', 'center');
+        drawText('SALES PERIOD OVER', canvasWidth / 2, canvasHeight / 2 - 70, 60, '#e67e22', 'center');
+        drawText(`Final Score: ${simulationState.gameState.finalScore.toFixed(1)} / 100`, canvasWidth / 2, canvasHeight / 2, 40, '#ecf0f1', 'center');
+        const reviews = launch.reviews.length > 0 ? ` · Reviews ${reviewScore().toFixed(0)}/100` : '';
+        drawText(`Sold ${launch.totalUnits.toLocaleString()} units · Revenue $${launch.totalRevenue.toLocaleString()}${reviews}`, canvasWidth / 2, canvasHeight / 2 + 50, 22, '#f1c40f', 'center');
+        const sales = simulationState.gameState.salesProjection;
+        if (sales) drawText(`Forecast at launch: ${sales.units.toLocaleString()} units (${sales.model}) · ${launch.patches.length} patch(es) shipped`, canvasWidth / 2, canvasHeight / 2 + 82, 18, '#bdc3c7', 'center');
+        const profit = launch.totalRevenue - totalExpenses();
+        drawText(`Lifetime profit: $${profit.toLocaleString()}`, canvasWidth / 2, canvasHeight / 2 + 118, 22, profit >= 0 ? '#2ecc71' : '#e74c3c', 'center');
+        drawText('Type /project <name> to start your next game, or click "New Studio" to start over.', canvasWidth / 2, canvasHeight / 2 + 166, 20, '#bdc3c7', 'center');
+    }
+
+    if (simulationState.gameState.bankrupt) {
+        drawPanel(0, 0, canvasWidth, canvasHeight, 'rgba(44, 62, 80, 0.9)');
+        drawText('STUDIO BANKRUPT', canvasWidth / 2, canvasHeight / 2 - 50, 60, '#e74c3c', 'center');
+        drawText(`The money ran out in week ${simulationState.gameState.currentWeek - 1} at ${simulationState.gameState.buildProgress.toFixed(1)}% build progress.`, canvasWidth / 2, canvasHeight / 2 + 20, 24, '#ecf0f1', 'center');
+        drawText('Click "New Studio" to start again, or load a save.', canvasWidth / 2, canvasHeight / 2 + 80, 20, '#bdc3c7', 'center');
+    }
+
+    // A finished project leaves the studio running: keep the Command Hub usable for /project, /switch and /studio.
+    if (isProjectOver() && !isStudioBankrupt() && !simulationState.isWaitingForAgents) drawCommandHub(margin, 80, colWidth, rowHeight);
+
+    // Fact details and the timeline stay open over the end screens, so a finished project can be reviewed.
+    if (detailView && !simulationState.isWaitingForAgents) drawDetailView();
+
+    if (simulationState.isWaitingForAgents) {
+        drawPanel(0, 0, canvasWidth, canvasHeight, 'rgba(44, 62, 80, 0.85)');
+        drawText(simulationState.agentStatusText, canvasWidth / 2, canvasHeight / 2, 40, '#ecf0f1', 'center');
     }
 }
 
@@ -398,41 +790,379 @@ function updateSpeed() {
     speedValue.textContent = `${turnIntervalSeconds}s`;
 }
 
+// --- SETTINGS PANEL ---
+function providerOptions(includeInherit) {
+    const options = Object.entries(LLM_PROVIDERS).map(([id, provider]) => `<option value="${id}">${escapeHtml(provider.label)}</option>`);
+    return (includeInherit ? '<option value="">Inherit</option>' : '') + options.join('');
+}
+
+function openSettingsDialog() {
+    const form = settingsForm.elements;
+    form.provider.innerHTML = providerOptions(false);
+    form.provider.value = llmSettings.provider;
+    form.openaiEndpoint.value = llmSettings.endpoints.openai;
+    form.ollamaEndpoint.value = llmSettings.endpoints.ollama;
+    form.model.value = llmSettings.model;
+    form.temperature.value = llmSettings.temperature;
+    form.timeoutSeconds.value = llmSettings.timeoutMs / 1000;
+    form.retries.value = llmSettings.retries;
+    form.maxConcurrent.value = llmSettings.maxConcurrent;
+    form.maxRequestsPerWeek.value = llmSettings.maxRequestsPerWeek;
+    form.fallbackToMock.checked = llmSettings.fallbackToMock;
+
+    agentOverridesTable.innerHTML = '<tr><th>Agent</th><th>Provider</th><th>Model</th><th>Temperature</th></tr>' + agentNames().map(agent => `
+        <tr>
+            <td>${escapeHtml(agentLabel(agent))}</td>
+            <td><select name="${agent}-provider">${providerOptions(true)}</select></td>
+            <td><input name="${agent}-model" placeholder="Inherit"></td>
+            <td><input name="${agent}-temperature" type="number" min="0" max="2" step="0.1" placeholder="Inherit"></td>
+        </tr>`).join('');
+    agentNames().forEach(agent => {
+        const override = llmSettings.agentOverrides[agent] || {};
+        form[`${agent}-provider`].value = override.provider || '';
+        form[`${agent}-model`].value = override.model || '';
+        form[`${agent}-temperature`].value = override.temperature ?? '';
+    });
+    settingsDialog.showModal();
+}
+
+function readSettingsForm() {
+    const form = settingsForm.elements;
+    const agentOverrides = {};
+    agentNames().forEach(agent => {
+        const override = {};
+        if (form[`${agent}-provider`].value) override.provider = form[`${agent}-provider`].value;
+        if (form[`${agent}-model`].value.trim()) override.model = form[`${agent}-model`].value.trim();
+        if (form[`${agent}-temperature`].value !== '') override.temperature = Number(form[`${agent}-temperature`].value);
+        if (Object.keys(override).length > 0) agentOverrides[agent] = override;
+    });
+    return {
+        ...llmSettings,
+        provider: form.provider.value,
+        endpoints: { openai: form.openaiEndpoint.value.trim(), ollama: form.ollamaEndpoint.value.trim() },
+        model: form.model.value.trim() || defaultLlmSettings().model,
+        temperature: Number(form.temperature.value),
+        timeoutMs: Math.max(1, Number(form.timeoutSeconds.value)) * 1000,
+        retries: Math.max(0, Math.floor(Number(form.retries.value))),
+        maxConcurrent: Math.max(1, Math.floor(Number(form.maxConcurrent.value))),
+        maxRequestsPerWeek: Math.max(1, Math.floor(Number(form.maxRequestsPerWeek.value))),
+        fallbackToMock: form.fallbackToMock.checked,
+        agentOverrides
+    };
+}
+
+// --- AGENT CONFIGURATION DIALOG ---
+// The dialog edits a copy of agentConfig; nothing changes until Save, which validates the whole copy first.
+let agentDraft = null;
+let editingAgentId = null;
+
+function optionList(entries) {
+    return entries.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+}
+
+function openAgentsDialog() {
+    const form = agentsForm.elements;
+    agentDraft = JSON.parse(JSON.stringify(agentConfig));
+    agentsDialog.returnValue = '';
+    form.event.innerHTML = optionList(Object.entries(TRIGGER_EVENTS).map(([id, event]) => [id, event.label]));
+    form.phase.innerHTML = optionList(PHASES.map(phase => [phase.id, phase.label]));
+    form.action.innerHTML = optionList(Object.entries(AGENT_ACTIONS).map(([id, action]) => [id, action.label]));
+    form.preset.innerHTML = optionList(Object.entries(AGENT_PRESETS).map(([id, preset]) => [id, id === 'blank' ? 'Blank agent' : preset.name]));
+    agentReadsList.innerHTML = Object.entries(AGENT_READS).map(([id, read]) => `<label class="checkbox-row"><input type="checkbox" name="read-${id}"> ${escapeHtml(read.label)}</label>`).join('');
+    showAgentInForm(agentDraft.agents[0].id);
+    agentsDialog.showModal();
+}
+
+function showAgentInForm(id) {
+    const form = agentsForm.elements;
+    const agent = agentDraft.agents.find(a => a.id === id);
+    editingAgentId = id;
+    agentsError.textContent = '';
+    form.agent.innerHTML = optionList(agentDraft.agents.map(a => [a.id, a.builtIn ? a.name : `${a.name} (${a.id})`]));
+    form.agent.value = id;
+    agentDescription.textContent = agent.builtIn ? BUILT_IN_AGENTS[id].runsOn : `Custom agent: reads the parts of the project you tick and writes back through its action.`;
+    form.name.value = agent.name;
+    form.name.disabled = agent.builtIn;
+    form.enabled.checked = agent.builtIn || agent.enabled;
+    form.enabled.disabled = agent.builtIn;
+    form.systemPrompt.value = agent.systemPrompt;
+
+    const constraints = agent.constraints || { minLength: 0, maxLength: 0, singleLine: false };
+    form.maxLength.value = constraints.maxLength;
+    form.minLength.value = constraints.minLength;
+    form.singleLine.checked = constraints.singleLine;
+    agentConstraintFields.disabled = !agent.constraints;
+
+    const trigger = agent.trigger || BUILT_IN_AGENTS.inquisitor.trigger;
+    form.event.value = trigger.event;
+    form.phase.value = trigger.phase;
+    form.everyWeeks.value = trigger.everyWeeks;
+    form.chance.value = trigger.chance;
+    agentTriggerFields.disabled = !agent.trigger;
+    form.event.disabled = agent.builtIn;
+
+    Object.keys(AGENT_READS).forEach(read => { form[`read-${read}`].checked = Boolean(agent.reads && agent.reads.includes(read)); });
+    form.action.value = agent.action || 'add-question';
+    agentCustomFields.disabled = agent.builtIn;
+    deleteAgentButton.disabled = agent.builtIn;
+}
+
+// Copies the form back into the agent being edited. Numbers are checked by agentConfigErrors on Save.
+function readAgentForm() {
+    const form = agentsForm.elements;
+    const agent = agentDraft.agents.find(a => a.id === editingAgentId);
+    if (!agent) return;
+    agent.systemPrompt = form.systemPrompt.value;
+    if (agent.constraints) {
+        agent.constraints = { minLength: Number(form.minLength.value), maxLength: Number(form.maxLength.value), singleLine: form.singleLine.checked };
+    }
+    if (agent.trigger) {
+        agent.trigger = { event: agent.builtIn ? agent.trigger.event : form.event.value, phase: form.phase.value, everyWeeks: Number(form.everyWeeks.value), chance: Number(form.chance.value) };
+    }
+    if (agent.builtIn) return;
+    agent.name = form.name.value;
+    agent.enabled = form.enabled.checked;
+    agent.reads = Object.keys(AGENT_READS).filter(read => form[`read-${read}`].checked);
+    agent.action = form.action.value;
+}
+
+function addAgent() {
+    readAgentForm();
+    const agent = createCustomAgent(agentDraft, agentsForm.elements.preset.value);
+    agentDraft.agents.push(agent);
+    showAgentInForm(agent.id);
+}
+
+function deleteAgent() {
+    agentDraft.agents = agentDraft.agents.filter(agent => agent.builtIn || agent.id !== editingAgentId);
+    showAgentInForm(agentDraft.agents[0].id);
+}
+
+async function importAgentsFile(file) {
+    try {
+        agentDraft = normalizeAgentConfig(JSON.parse(await file.text()));
+        showAgentInForm(agentDraft.agents[0].id);
+        agentsError.textContent = `Imported "${file.name}". Save to start using it.`;
+    } catch (error) {
+        agentsError.textContent = `Import failed: ${error.message}`;
+    }
+}
+
+// Keeps the dialog open with the problems listed when the edited configuration is invalid.
+function validateAgentsForm(e) {
+    readAgentForm();
+    const errors = agentConfigErrors(agentDraft);
+    if (errors.length === 0) return;
+    e.preventDefault();
+    agentsError.textContent = `Can't save: ${errors.join('; ')}.`;
+}
+
 function initialize() {
-    const margin = 20;
-    const colWidth = (canvasWidth - margin * 3) / 2;
-    commandBar.style.left = `${margin + 10}px`;
-    commandBar.style.top = `${125}px`;
-    commandInput.style.width = `${colWidth - 140}px`;
+    resizeCanvas();
+    window.addEventListener('resize', () => { resizeCanvas(); draw(); });
+    canvas.addEventListener('click', handleCanvasClick);
+    canvas.addEventListener('wheel', handleCanvasWheel, { passive: false });
+    canvas.addEventListener('mousemove', handleCanvasMouseMove);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && detailView) closeDetailView();
+    });
 
     submitCommandButton.addEventListener('click', () => {
-        submitCommand();
-        if (!isSimRunning) advanceWeek();
+        if (submitCommand() && !isSimRunning) advanceWeek();
     });
     commandInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-            submitCommand();
-            if (!isSimRunning) advanceWeek();
+            if (submitCommand() && !isSimRunning) advanceWeek();
+        }
+    });
+    commandInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            autocompleteCommand();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            recallCommand(e.key === 'ArrowUp' ? -1 : 1);
         }
     });
     toggleSimButton.addEventListener('click', toggleSimulation);
     speedControl.addEventListener('input', updateSpeed);
+    llmTranslatorToggle.addEventListener('change', () => { useLlmTranslator = llmTranslatorToggle.checked; });
+    newStudioButton.addEventListener('click', () => newStudio());
+    exportSaveButton.addEventListener('click', exportSave);
+    exportGddButton.addEventListener('click', () => exportGdd(exportGddFormat.value));
+    timelineButton.addEventListener('click', () => openTimeline());
+    agentsButton.addEventListener('click', openAgentsDialog);
+    agentsForm.elements.agent.addEventListener('change', () => {
+        readAgentForm();
+        showAgentInForm(agentsForm.elements.agent.value);
+    });
+    addAgentButton.addEventListener('click', addAgent);
+    deleteAgentButton.addEventListener('click', deleteAgent);
+    resetAgentsButton.addEventListener('click', () => {
+        agentDraft = defaultAgentConfig();
+        showAgentInForm(agentDraft.agents[0].id);
+    });
+    exportAgentsButton.addEventListener('click', () => {
+        readAgentForm();
+        exportAgentConfig(agentDraft);
+    });
+    importAgentsButton.addEventListener('click', () => importAgentsInput.click());
+    importAgentsInput.addEventListener('change', () => {
+        if (importAgentsInput.files[0]) importAgentsFile(importAgentsInput.files[0]);
+        importAgentsInput.value = '';
+    });
+    saveAgentsButton.addEventListener('click', validateAgentsForm);
+    agentsDialog.addEventListener('close', () => {
+        if (agentsDialog.returnValue !== 'save') return;
+        applyAgentConfig(agentDraft);
+        setCommandFeedback(`Saved the configuration of ${agentConfig.agents.length} agent(s).`);
+    });
+    settingsButton.addEventListener('click', openSettingsDialog);
+    settingsDialog.addEventListener('close', () => {
+        if (settingsDialog.returnValue === 'save') saveLlmSettings(readSettingsForm());
+    });
+    resetSettingsButton.addEventListener('click', () => {
+        saveLlmSettings(defaultLlmSettings());
+        settingsDialog.close();
+        openSettingsDialog();
+    });
+    importSaveButton.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', () => {
+        if (importFileInput.files[0]) importSaveFile(importFileInput.files[0]);
+        importFileInput.value = '';
+    });
+
+    try {
+        if (readSlot(AUTOSAVE_SLOT)) {
+            applySave(readSlot(AUTOSAVE_SLOT));
+            commandFeedback = `Resumed autosave from week ${simulationState.gameState.currentWeek}. Type /new to start over.`;
+        }
+    } catch (error) {
+        console.error("Could not resume autosave.", error);
+    }
 
     updatePlaceholder();
     draw();
 };
 
-function submitCommand() {
-    if (!isSimRunning && simulationState.gameState.commandQueue.length > 0) {
-        simulationState.gameState.commandQueue[0] = commandInput.value;
-        commandInput.value = '';
+// --- COMMAND LINE: IMMEDIATE COMMANDS, HISTORY & UNDO ---
+// Snapshots taken before each of the most recent weeks, for /undo.
+const UNDO_LIMIT = 20;
+let undoStack = [];
+const commandHistory = [];
+let historyIndex = 0;
+
+// Commands that act instantly instead of waiting in the weekly queue.
+const IMMEDIATE_COMMANDS = {
+    '/help': { usage: '/help [command]', summary: 'List the commands, or explain one.', run: showHelp },
+    '/status': { usage: '/status', summary: 'Summarize the project.', run: () => setCommandFeedback(statusSummary()) },
+    '/queue': { usage: '/queue [move <from> <to> | drop <position>]', summary: 'Show or reorder the commands waiting for the coming weeks.', run: queueCommand },
+    '/undo': { usage: '/undo', summary: `Rewind the last week (up to ${UNDO_LIMIT} weeks back).`, run: undoWeek },
+    '/history': { usage: '/history <quantum ID>', summary: 'Show every version of a fact.', idArgument: 'quantum', run: input => setCommandFeedback(quantumHistorySummary(input)) },
+    '/save': { usage: '/save <slot>', summary: 'Save to a named slot.', run: saveToSlot },
+    '/load': { usage: '/load [slot]', summary: 'Load a slot, or the autosave.', run: loadFromSlot },
+    '/saves': { usage: '/saves', summary: 'List the save slots.', run: listSaves },
+    '/deletesave': { usage: '/deletesave <slot>', summary: 'Delete a save slot.', run: deleteSave },
+    '/new': { usage: '/new [seed]', summary: 'Start over with a new studio.', run: newStudio },
+    '/project': { usage: '/project <name> [| budget] [| pitch]', summary: "Start another project in the studio; it shares the studio's bank.", run: newProjectCommand },
+    '/switch': { usage: '/switch <project number or name>', summary: 'Show another of the studio\'s projects.', idArgument: 'project', run: switchCommand },
+    '/studio': { usage: '/studio', summary: 'Open the studio: projects, bench, shipped titles and reputation.', run: openStudioView },
+    '/export': { usage: '/export [save | gdd [md|html] | log [filter] | agents]', summary: 'Download the save, the design document, the event log or the agent configuration.', run: exportCommand },
+    '/agents': { usage: '/agents', summary: "Edit the agents' prompts, constraints and triggers, or add custom agents.", run: openAgentsDialog },
+    '/timeline': { usage: `/timeline [${Object.keys(EVENT_FILTERS).join('|')}|agent]`, summary: 'Open the event timeline and metrics chart.', run: showTimeline },
+    '/ledger': { usage: '/ledger', summary: "Show recent spending, totals and the runway.", run: () => setCommandFeedback(ledgerSummary()) },
+    '/market': { usage: '/market', summary: 'Show the current trend and rival games.', run: () => setCommandFeedback(marketSummary()) },
+    '/import': { usage: '/import', summary: 'Load a save file.', run: () => importFileInput.click() },
+};
+
+function showHelp(input) {
+    const name = commandArguments(input)[0];
+    if (!name) {
+        return setCommandFeedback(`Weekly: ${Object.keys(WEEKLY_COMMANDS).join(' ')} · Instant: ${Object.keys(IMMEDIATE_COMMANDS).join(' ')} · Type /help <command> for details; Tab completes, ↑/↓ recall earlier commands.`);
+    }
+    const key = `/${name.replace(/^\//, '').toLowerCase()}`;
+    const command = WEEKLY_COMMANDS[key] || IMMEDIATE_COMMANDS[key];
+    if (!command) return setCommandFeedback(`Unknown command "${key}". Type /help for a list of commands.`);
+    setCommandFeedback(`${command.usage}: ${command.summary} ${WEEKLY_COMMANDS[key] ? 'Takes a week.' : 'Instant.'}`);
+}
+
+function showTimeline(input) {
+    const filter = (commandArguments(input)[0] || 'all').toLowerCase();
+    if (!isEventFilter(filter)) return setCommandFeedback(`Unknown filter "${filter}". Use one of: ${[...Object.keys(EVENT_FILTERS), ...agentNames()].join(', ')}.`);
+    openTimeline(filter);
+}
+
+function queueCommand(input) {
+    const [action, first, second] = commandArguments(input);
+    let error = null;
+    if (action === 'move') error = moveQueuedCommand(Number(first), Number(second));
+    else if (action === 'drop') error = dropQueuedCommand(Number(first));
+    else if (action) error = `Usage: ${IMMEDIATE_COMMANDS['/queue'].usage}`;
+    setCommandFeedback(error || queueSummary());
+}
+
+// Restores the state from before the last week and puts the command that week ran back in the input.
+function undoWeek() {
+    const snapshot = undoStack.pop();
+    if (!snapshot) return setCommandFeedback("Nothing to undo.");
+    applySave(snapshot);
+    const command = simulationState.gameState.commandQueue.shift();
+    if (command) commandInput.value = command;
+    autosaveAndReport(`Rewound to week ${simulationState.gameState.currentWeek}.` + (command ? " That week's command is back in the input." : ''));
+}
+
+function rememberCommand(input) {
+    if (commandHistory[commandHistory.length - 1] !== input) commandHistory.push(input);
+    historyIndex = commandHistory.length;
+}
+
+// Steps through earlier commands; stepping past the newest one clears the input.
+function recallCommand(step) {
+    historyIndex = Math.max(0, Math.min(commandHistory.length, historyIndex + step));
+    commandInput.value = commandHistory[historyIndex] || '';
+}
+
+function autocompleteCommand() {
+    const matches = completeCommand(commandInput.value, { ...WEEKLY_COMMANDS, ...IMMEDIATE_COMMANDS });
+    if (matches.length === 0) return;
+    if (matches.length === 1) {
+        commandInput.value = matches[0];
         return;
     }
-    const command = commandInput.value;
-    if (command.trim() !== '') {
-        simulationState.gameState.commandQueue.push(command);
+    let prefix = matches[0];
+    matches.forEach(match => { while (!match.startsWith(prefix)) prefix = prefix.slice(0, -1); });
+    if (prefix.length > commandInput.value.length) commandInput.value = prefix;
+    setCommandFeedback(matches.map(match => match.trim().split(/\s+/).pop()).join('  '));
+}
+
+function setCommandFeedback(text) {
+    commandFeedback = text;
+    panelScroll.feedback = 0;
+    draw();
+}
+
+// Returns false when no week should pass: the command was handled immediately or rejected.
+function submitCommand() {
+    const input = commandInput.value.trim();
+    if (input === '') return true;
+    rememberCommand(input);
+    const immediate = IMMEDIATE_COMMANDS[commandName(input)];
+    if (immediate) {
         commandInput.value = '';
+        immediate.run(input);
+        draw();
+        return false;
+    }
+    const error = validateCommand(input);
+    if (error) {
+        setCommandFeedback(error);
+        return false;
     }
+    const queue = simulationState.gameState.commandQueue;
+    queue.push(input);
+    commandInput.value = '';
+    commandFeedback = queue.length > 1 ? `Queued at position ${queue.length}. Type /queue to see or reorder the queue.` : '';
+    return true;
 }
 
 window.onload = initialize;
@@ -0,0 +1,163 @@
+// --- STUDIO TEAM & STAFFING ---
+// Weekly salary and output of every hireable role. Output is in person-weeks of work on the role's discipline;
+// QA doesn't build features, it fixes open bug reports at `fixRate` bugs per person per week.
+const STAFF_ROLES = {
+    programmer: { label: 'Programmer', discipline: 'code', salary: 2000, output: 1 },
+    artist: { label: 'Artist', discipline: 'art', salary: 1800, output: 1 },
+    designer: { label: 'Designer', discipline: 'design', salary: 1800, output: 1 },
+    qa: { label: 'QA Tester', discipline: 'qa', salary: 1200, fixRate: 0.5 }
+};
+
+// Person-weeks of work each discipline needs for the build to reach 100%.
+const DISCIPLINE_WORKLOAD = { code: 40, art: 20, design: 20 };
+
+const STARTING_TEAM = ['programmer', 'programmer', 'artist', 'designer', 'qa'];
+const STAFF_NAMES = ['Ada', 'Bao', 'Cyra', 'Dev', 'Elio', 'Fen', 'Gus', 'Hana', 'Ivo', 'Jun', 'Kira', 'Lars', 'Mina', 'Nico', 'Oona', 'Pax', 'Quin', 'Rhea', 'Sol', 'Tove'];
+const MAX_MORALE = 100;
+const CRUNCH_OUTPUT_BONUS = 1.5;
+const CRUNCH_MORALE_COST = 8;
+const FIRING_MORALE_COST = 10;
+
+function createStaffMember(role) {
+    return {
+        id: generateId('st'),
+        name: STAFF_NAMES[Math.floor(random() * STAFF_NAMES.length)],
+        role,
+        morale: 75,
+        hiredWeek: simulationState.gameState.currentWeek
+    };
+}
+
+function createStartingTeam() {
+    return { members: STARTING_TEAM.map(createStaffMember), crunch: false, qaBacklog: 0 };
+}
+
+function payroll() {
+    return simulationState.team.members.reduce((total, member) => total + STAFF_ROLES[member.role].salary, 0);
+}
+
+function updateWeeklySpend() {
+    const gameState = simulationState.gameState;
+    gameState.weeklySpend = gameState.baseSpend + gameState.marketingSpend + payroll();
+}
+
+function averageMorale() {
+    const members = simulationState.team.members;
+    return members.length > 0 ? members.reduce((total, member) => total + member.morale, 0) / members.length : 0;
+}
+
+function teamSummary() {
+    const counts = {};
+    simulationState.team.members.forEach(member => { counts[member.role] = (counts[member.role] || 0) + 1; });
+    return Object.keys(STAFF_ROLES).map(role => `${counts[role] || 0}× ${STAFF_ROLES[role].label}`).join(' · ');
+}
+
+/**
+ * Puts in one week of work from every non-QA team member. Unanswered design questions slow everyone down
+ * (10% per open question, never below 10%), low morale costs up to half of a person's output and crunch adds 50%.
+ * No discipline can be built past the current phase's build cap.
+ * @param {number} openQuestionCount - Open Inquisitor questions this week.
+ * @returns {number} Build progress gained this week, in percentage points.
+ */
+function teamWorkTurn(openQuestionCount) {
+    const gameState = simulationState.gameState;
+    const { members, crunch } = simulationState.team;
+    const clarity = Math.max(0.1, 1 - openQuestionCount * 0.1);
+    const buildCap = phaseBuildCap();
+    members.forEach(member => {
+        const role = STAFF_ROLES[member.role];
+        if (!role.output || isBusyFixing(member)) return;
+        const work = role.output * (0.5 + member.morale / (2 * MAX_MORALE)) * (crunch ? CRUNCH_OUTPUT_BONUS : 1) * clarity;
+        const discipline = role.discipline;
+        const current = gameState.disciplineProgress[discipline];
+        gameState.disciplineProgress[discipline] = Math.max(current, Math.min(buildCap, current + (work / DISCIPLINE_WORKLOAD[discipline]) * 100));
+    });
+    const totalWorkload = Object.values(DISCIPLINE_WORKLOAD).reduce((a, b) => a + b, 0);
+    const previous = gameState.buildProgress;
+    gameState.buildProgress = Object.entries(DISCIPLINE_WORKLOAD)
+        .reduce((total, [discipline, workload]) => total + gameState.disciplineProgress[discipline] * workload / totalWorkload, 0);
+    return gameState.buildProgress - previous;
+}
+
+// QA testers work through the most severe open bug reports. Partial fixes carry over to the next week.
+function qaTurn() {
+    const team = simulationState.team;
+    const qaCapacity = team.members
+        .filter(member => member.role === 'qa')
+        .reduce((total, member) => total + STAFF_ROLES.qa.fixRate * (0.5 + member.morale / (2 * MAX_MORALE)), 0);
+    team.qaBacklog += qaCapacity;
+    let fixed = 0;
+    while (team.qaBacklog >= 1) {
+        const bug = nextBugForQa();
+        if (!bug) {
+            team.qaBacklog = Math.min(team.qaBacklog, 1);
+            break;
+        }
+        resolveBug(bug, 'Fixed', 'QA');
+        team.qaBacklog -= 1;
+        fixed++;
+    }
+    return fixed;
+}
+
+// Crunch wears morale down; normal weeks slowly restore it. Anyone below 25 morale may quit.
+function moraleTurn() {
+    const team = simulationState.team;
+    team.members.forEach(member => {
+        member.morale = Math.max(0, Math.min(MAX_MORALE, member.morale + (team.crunch ? -CRUNCH_MORALE_COST : 2)));
+    });
+    const quitter = team.members.find(member => member.morale < 25 && random() < 0.3);
+    if (!quitter) return '';
+    team.members.splice(team.members.indexOf(quitter), 1);
+    return `${quitter.name} (${STAFF_ROLES[quitter.role].label}) quit!`;
+}
+
+function parseRole(text) {
+    const key = (text || '').toLowerCase().replace(/s$/, '');
+    if (STAFF_ROLES[key]) return key;
+    return Object.keys(STAFF_ROLES).find(role => STAFF_ROLES[role].label.toLowerCase() === key) || null;
+}
+
+function hireStaff(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const [, roleText, countText] = input.trim().split(/\s+/);
+    const role = parseRole(roleText);
+    const count = Math.max(1, Math.min(10, parseInt(countText, 10) || 1));
+    if (!role) {
+        activity.producer = `Usage: /hire <${Object.keys(STAFF_ROLES).join('|')}> [count]`;
+        return false;
+    }
+    for (let i = 0; i < count; i++) simulationState.team.members.push(createStaffMember(role));
+    updateWeeklySpend();
+    activity.producer = `Hired ${count} ${STAFF_ROLES[role].label}(s). Weekly spend is now $${simulationState.gameState.weeklySpend.toLocaleString()}.`;
+    return false;
+}
+
+// Fires one person by staff ID, or the most recent hire of a role.
+function fireStaff(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const target = input.trim().split(/\s+/)[1] || '';
+    const members = simulationState.team.members;
+    const role = parseRole(target);
+    const member = target.startsWith('st-') ? members.find(m => m.id === target) : members.filter(m => m.role === role).pop();
+    if (!member) {
+        activity.producer = `No one to fire matching "${target}".`;
+        return false;
+    }
+    members.splice(members.indexOf(member), 1);
+    members.forEach(m => { m.morale = Math.max(0, m.morale - FIRING_MORALE_COST); });
+    updateWeeklySpend();
+    activity.producer = `Let ${member.name} (${STAFF_ROLES[member.role].label}) go. Team morale took a hit.`;
+    return false;
+}
+
+function setCrunch(input) {
+    const mode = (input.trim().split(/\s+/)[1] || '').toLowerCase();
+    if (mode !== 'on' && mode !== 'off') {
+        simulationState.gameState.lastAgentActivity.producer = "Usage: /crunch on|off";
+        return false;
+    }
+    simulationState.team.crunch = mode === 'on';
+    simulationState.gameState.lastAgentActivity.producer = simulationState.team.crunch ? "Crunch ordered: +50% output, morale falling." : "Crunch over. The team can breathe again.";
+    return false;
+}
@@ -0,0 +1,170 @@
+// --- STUDIO & PROJECT PORTFOLIO ---
+// studioState sits above the projects. It holds the shared bank account, the staff waiting for a project,
+// every project (each one shaped like simulationState), and the history of shipped titles. simulationState
+// is always the project the canvas shows; the weekly turn switches it to each running project in turn.
+// The bank is studioState.budget; every project's gameState.budget mirrors it between turns.
+
+// A shipped title's final score feeds studio reputation, and a share of that becomes the next project's starting hype.
+const REPUTATION_TITLES = 3;
+const REPUTATION_HYPE_SHARE = 0.25;
+
+let studioState = null;
+
+function createStudio(seed) {
+    return { budget: 0, week: 1, seed, projectCount: 0, activeProjectId: null, bench: [], history: [], projects: [] };
+}
+
+function activeProject() {
+    return studioState.projects.find(project => project.id === studioState.activeProjectId);
+}
+
+function projectIsOver(project) {
+    return Boolean(project.market.launch && project.market.launch.finished) || project.gameState.bankrupt;
+}
+
+function runningProjects() {
+    return studioState.projects.filter(project => !projectIsOver(project));
+}
+
+function isStudioBankrupt() {
+    return studioState.projects.some(project => project.gameState.bankrupt);
+}
+
+// Average final score of the most recent shipped titles; 0 for a studio that has not shipped anything yet.
+function studioReputation() {
+    const recent = studioState.history.slice(-REPUTATION_TITLES);
+    return recent.length > 0 ? recent.reduce((total, title) => total + title.finalScore, 0) / recent.length : 0;
+}
+
+function syncBudgets() {
+    studioState.projects.forEach(project => { project.gameState.budget = studioState.budget; });
+}
+
+/**
+ * Starts a project in the studio and makes it the one on screen. Its budget is paid into the studio bank;
+ * the studio's first project gets the starting team, later ones take whoever is waiting on the bench.
+ * @param {{name?: string, pitch?: string, budget?: number, seed?: number}} [options] - Defaults to DEFAULT_PROJECT;
+ *   later projects derive their seed from the studio's.
+ * @returns {Object} The new project.
+ */
+function startProject({ name = DEFAULT_PROJECT.name, pitch = DEFAULT_PROJECT.pitch, budget = DEFAULT_PROJECT.budget, seed } = {}) {
+    const studio = studioState;
+    studio.projectCount++;
+    const projectSeed = seed ?? (studio.projectCount === 1 ? studio.seed : hashString(`${studio.seed}:${studio.projectCount}`));
+    studio.budget += budget;
+    const hype = studioReputation() * REPUTATION_HYPE_SHARE;
+    simulationState = createInitialState(projectSeed, { name, pitch, hype });
+    simulationState.id = `pr-${studio.projectCount}`;
+    if (studio.projects.length === 0) simulationState.team = createStartingTeam();
+    else simulationState.team.members = studio.bench.splice(0);
+    updateWeeklySpend();
+    studio.projects.push(simulationState);
+    studio.activeProjectId = simulationState.id;
+    syncBudgets();
+    logEvent('milestone', `Started ${name} (seed ${projectSeed})` + (hype > 0 ? ` with ${hype.toFixed(1)}% hype from the studio's reputation.` : '.'));
+    return simulationState;
+}
+
+// Finds a project by its number in the portfolio (1-based), its ID or the start of its name.
+function findProject(target) {
+    const text = String(target || '').trim().toLowerCase();
+    if (!text) return null;
+    const projects = studioState.projects;
+    if (/^\d+$/.test(text)) return projects[Number(text) - 1] || null;
+    return projects.find(project => project.id === text) || projects.find(project => project.gameState.projectName.toLowerCase().startsWith(text)) || null;
+}
+
+function switchProject(target) {
+    const project = findProject(target);
+    if (!project) return null;
+    studioState.activeProjectId = project.id;
+    simulationState = project;
+    return project;
+}
+
+// A project whose sales period is over joins the studio history; its staff move on to a running project, or the bench.
+function recordShippedTitle(project) {
+    const { gameState, market } = project;
+    studioState.history.push({
+        projectId: project.id,
+        name: gameState.projectName,
+        finalScore: gameState.finalScore,
+        reviewScore: reviewScore(market.launch),
+        unitsSold: market.launch.totalUnits,
+        revenue: market.launch.totalRevenue,
+        week: studioState.week
+    });
+    const destination = runningProjects()[0];
+    (destination ? destination.team.members : studioState.bench).push(...project.team.members.splice(0));
+    if (destination) updateProjectSpend(destination);
+}
+
+function updateProjectSpend(project) {
+    const current = simulationState;
+    simulationState = project;
+    updateWeeklySpend();
+    simulationState = current;
+}
+
+// Weekly spend of every running project, which is what the shared bank has to cover.
+function studioWeeklySpend() {
+    return runningProjects().reduce((total, project) => total + project.gameState.weeklySpend, 0);
+}
+
+/**
+ * Plays one studio week: every running project takes its turn (see runWeek) against the shared bank.
+ * Once the bank is overdrawn the whole studio is bankrupt; projects that have not had their turn yet skip it.
+ */
+async function runStudioWeek() {
+    for (const project of runningProjects()) {
+        simulationState = project;
+        project.gameState.budget = studioState.budget;
+        await runWeek();
+        studioState.budget = project.gameState.budget;
+        if (project.gameState.bankrupt) break;
+        if (isLaunchFinished()) recordShippedTitle(project);
+    }
+    syncBudgets();
+    if (isStudioBankrupt()) {
+        runningProjects().forEach(project => {
+            simulationState = project;
+            checkBankruptcy();
+        });
+    }
+    studioState.week++;
+    simulationState = activeProject();
+}
+
+// "/transfer <staff ID or role> <project>": moves someone from this project's team to another running project.
+function transferStaff(input) {
+    const activity = simulationState.gameState.lastAgentActivity;
+    const [target, ...projectWords] = commandArguments(input);
+    const destination = findProject(projectWords.join(' '));
+    const members = simulationState.team.members;
+    const role = parseRole(target);
+    const member = target.startsWith('st-') ? members.find(m => m.id === target) : members.filter(m => m.role === role).pop();
+    members.splice(members.indexOf(member), 1);
+    destination.team.members.push(member);
+    updateWeeklySpend();
+    updateProjectSpend(destination);
+    activity.producer = `${member.name} (${STAFF_ROLES[member.role].label}) moved to ${destination.gameState.projectName}.`;
+    return false;
+}
+
+function validateTransfer(input) {
+    const [target, ...projectWords] = commandArguments(input);
+    if (!target || projectWords.length === 0) return `Usage: ${WEEKLY_COMMANDS['/transfer'].usage}`;
+    const members = simulationState.team.members;
+    const found = target.startsWith('st-') ? members.some(m => m.id === target) : members.some(m => m.role === parseRole(target));
+    if (!found) return `No one on this team matches "${target}".`;
+    const destination = findProject(projectWords.join(' '));
+    if (!destination) return `No project matches "${projectWords.join(' ')}".`;
+    if (destination === simulationState) return "They already work on this project.";
+    return projectIsOver(destination) ? `${destination.gameState.projectName} is finished.` : null;
+}
+
+function studioSummary() {
+    const shipped = studioState.history.length;
+    return `Bank $${studioState.budget.toLocaleString()} · ${runningProjects().length} running of ${studioState.projects.length} project(s) · `
+        + `${shipped} shipped · reputation ${studioReputation().toFixed(0)}`;
+}